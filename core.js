@@ -1,9 +1,66 @@
-const CanvasKit = await CanvasKitInit({ locateFile: (file) => "https://unpkg.com/canvaskit-wasm@0.35.0/bin/" + file });
+const isBrowser = typeof window !== "undefined" && typeof document !== "undefined";
 
-const fontData = await (await fetch("fonts/Inter-VariableFont.ttf")).arrayBuffer();
-const fontMgr = CanvasKit.FontMgr.FromData(fontData);
-const typeface = CanvasKit.Typeface.MakeFreeTypeFaceFromData(fontData);
-const font = new CanvasKit.Font(typeface, 12);
+let CanvasKit = null; // Set by init
+let font = null; // Used by the debug overlay
+let initPromise = null;
+
+/**
+ * Loads CanvasKit and fonts, and returns the UI API. Must be awaited before any Context is created.
+ * 
+ * Nothing is downloaded until this is called, and only from the given locations. Subsequent calls return the same promise.
+ * @param {Object} [options]
+ * @param {Object} [options.canvasKit] An already initialized CanvasKit instance. If omitted, CanvasKit is initialized with the global CanvasKitInit from canvaskit.js in the browser, or with canvaskit-wasm from node_modules in Node.js.
+ * @param {function(string): string} [options.locateFile] Returns the location of a CanvasKit file, such as canvaskit.wasm. By default, files are located next to canvaskit.js.
+ * @param {Array<string|URL|ArrayBuffer>} [options.fonts] Fonts to register in fontRegistry under their own family names, as URLs, file paths in Node.js, or font file data. Defaults to the Inter font in the fonts directory next to core.js.
+ * @returns {Promise<Object>} The UI API, containing every class, enums, and the CanvasKit instance
+ * @example <caption>Initializes with self-hosted CanvasKit and fonts</caption>
+ * const UI = await init({ locateFile: file => "/static/canvaskit/" + file, fonts: ["/static/fonts/Inter.ttf"] });
+ * const context = new UI.Context(document.getElementById("main"));
+ */
+export function init(options = {}) {
+    if (!initPromise) initPromise = initialize(options).catch(error => {
+        initPromise = null; // Allows trying again, such as after a network error
+        throw error;
+    });
+    return initPromise;
+}
+
+async function initialize({ canvasKit = null, locateFile = null, fonts = [new URL("fonts/Inter-VariableFont.ttf", import.meta.url)] }) {
+    if (canvasKit) CanvasKit = canvasKit;
+    else if (isBrowser) {
+        if (typeof CanvasKitInit !== "function") throw new Error("CanvasKitInit is not defined; load canvaskit.js or pass canvasKit");
+        CanvasKit = await CanvasKitInit(locateFile ? { locateFile } : {});
+    } else CanvasKit = await initNodeCanvasKit(locateFile);
+
+    const fontData = await Promise.all(fonts.map(loadFile));
+    for (const data of fontData) fontRegistry.register(data);
+    font = new CanvasKit.Font(fontData.length > 0 ? CanvasKit.Typeface.MakeFreeTypeFaceFromData(fontData[0]) : null, 12);
+
+    debugPaint = new CanvasKit.Paint();
+    debugPaint.setColor(CanvasKit.BLACK);
+    debugForegroundPaint = new CanvasKit.Paint();
+    debugForegroundPaint.setColor(CanvasKit.WHITE);
+
+    if (isBrowser) window.ck = CanvasKit;
+    return api;
+}
+
+async function initNodeCanvasKit(locateFile) { // Outside of the browser, such as in Node.js, canvaskit-wasm is loaded from node_modules
+    const { createRequire } = await import("module");
+    const require = createRequire(import.meta.url);
+    const CanvasKitInit = require("canvaskit-wasm");
+    return await CanvasKitInit({ wasmBinary: await loadFile(locateFile ? locateFile("canvaskit.wasm") : require.resolve("canvaskit-wasm/bin/canvaskit.wasm")) });
+}
+
+async function loadFile(source) { // Returns the contents of an ArrayBuffer, typed array, URL, or file path in Node.js as an ArrayBuffer
+    if (source instanceof ArrayBuffer) return source;
+    if (ArrayBuffer.isView(source)) return source.buffer.slice(source.byteOffset, source.byteOffset + source.byteLength);
+    if (isBrowser || /^https?:/.test(String(source))) return await (await fetch(source)).arrayBuffer();
+
+    const { readFile } = await import("fs/promises");
+    const buffer = await readFile(source);
+    return buffer.buffer.slice(buffer.byteOffset, buffer.byteOffset + buffer.byteLength);
+}
 
 // Classes
 
@@ -159,6 +216,18 @@ export class SDim {
         return new SDim(0, offset);
     }
 
+    /**
+     * Returns a SDim linearly interpolated between this SDim and `to` by amount `weight`
+     * @param {SDim} to The SDim to interpolate to
+     * @param {number} weight The amount of interpolation
+     * @returns {SDim} The resulting SDim
+     */
+    lerp(to, weight) {
+        if (!(to instanceof SDim)) throw new Error("to is not SDim");
+        if (isNaN(weight)) throw new Error("weight is NaN");
+        return new SDim(this.scale + (to.scale - this.scale) * weight, this.offset + (to.offset - this.offset) * weight);
+    }
+
     /**
      * Adds two SDims together
      * @param {SDim} a
@@ -238,6 +307,23 @@ export class SDim2 {
     get x() { return new SDim(this.scaleX, this.offsetX); }
     get y() { return new SDim(this.scaleY, this.offsetY); }
 
+    /**
+     * Returns a SDim2 linearly interpolated between this SDim2 and `to` by amount `weight`
+     * @param {SDim2} to The SDim2 to interpolate to
+     * @param {number} weight The amount of interpolation
+     * @returns {SDim2} The resulting SDim2
+     */
+    lerp(to, weight) {
+        if (!(to instanceof SDim2)) throw new Error("to is not SDim2");
+        if (isNaN(weight)) throw new Error("weight is NaN");
+        return new SDim2(
+            this.scaleX + (to.scaleX - this.scaleX) * weight,
+            this.offsetX + (to.offsetX - this.offsetX) * weight,
+            this.scaleY + (to.scaleY - this.scaleY) * weight,
+            this.offsetY + (to.offsetY - this.offsetY) * weight
+        );
+    }
+
     /**
      * Creates an SDim2 from two scale values
      * @param {number} scaleX
@@ -342,7 +428,7 @@ export class Color {
         this.g = g;
         this.b = b;
         this.a = a;
-        this._ckColor = CanvasKit.Color4f(r, g, b, a);
+        this._ckColor = Float32Array.of(r, g, b, a); // Same as CanvasKit.Color4f, which is not available until init
         Object.freeze(this);
     }
 
@@ -392,6 +478,23 @@ export class Color {
         return new Color(r / 255, g / 255, b / 255, a);
     }
 
+    /**
+     * Returns a Color linearly interpolated between this Color and `to` by amount `weight`, including alpha.
+     * @param {Color} to The Color to interpolate to
+     * @param {number} weight The amount of interpolation
+     * @returns {Color} The resulting Color
+     */
+    lerp(to, weight) {
+        if (!(to instanceof Color)) throw new Error("to is not Color");
+        if (isNaN(weight)) throw new Error("weight is NaN");
+        return new Color(
+            this.r + (to.r - this.r) * weight,
+            this.g + (to.g - this.g) * weight,
+            this.b + (to.b - this.b) * weight,
+            this.a + (to.a - this.a) * weight
+        );
+    }
+
     /**
      * Returns the hue, saturation, and value of this Color.
      * 
@@ -427,6 +530,98 @@ export class Color {
     }
 }
 
+/**
+ * Shadow class for describing a drop shadow cast by a UI element, similar to CSS `box-shadow`.
+ * 
+ * This class is immutable; you cannot assign to its properties once it is created.
+ * @public
+ */
+export class Shadow {
+    /**
+     * @param {Vector2} [offset=Vector2.zero] The offset of the shadow in pixels
+     * @param {number} [blur=0] The blur radius of the shadow in pixels
+     * @param {number} [spread=0] The amount in pixels the shadow is expanded (or contracted, if negative) beyond the bounds of the element
+     * @param {Color} [color=new Color(0, 0, 0, 0)] The color of the shadow
+     * @example <caption>Creates a soft shadow below the element</caption>
+     * new Shadow(new Vector2(0, 4), 12, 0, Color.fromRGB(0, 0, 0, 0.3));
+     */
+    constructor(offset = Vector2.zero, blur = 0, spread = 0, color = new Color(0, 0, 0, 0)) {
+        if (!(offset instanceof Vector2)) throw new Error("offset is not Vector2");
+        if (isNaN(blur)) throw new Error("blur is NaN");
+        if (isNaN(spread)) throw new Error("spread is NaN");
+        if (!(color instanceof Color)) throw new Error("color is not Color");
+        this.offset = new Vector2(offset.x, offset.y);
+        this.blur = blur;
+        this.spread = spread;
+        this.color = color;
+        Object.freeze(this);
+    }
+}
+
+/**
+ * Image class for storing an image decoded from PNG, JPEG, WebP or any other encoded format supported by CanvasKit.
+ * 
+ * Decoding happens asynchronously. Until it finishes, `loaded` is false and anything painting the image draws nothing (or a placeholder).
+ * @public
+ */
+export class Image {
+    /** @type {boolean} Whether the image has finished decoding. */
+    loaded = false;
+    /** @type {number} The width of the image in pixels. 0 until the image has loaded. */
+    width = 0;
+    /** @type {number} The height of the image in pixels. 0 until the image has loaded. */
+    height = 0;
+
+    _ckImage = null;
+
+    /**
+     * @param {ArrayBuffer|Uint8Array} bytes The encoded image data
+     * @example <caption>Load an image from a URL</caption>
+     * const image = new Image(await (await fetch("icon.png")).arrayBuffer());
+     * await image.ready;
+     */
+    constructor(bytes) {
+        if (!(bytes instanceof ArrayBuffer) && !ArrayBuffer.isView(bytes)) throw new Error("bytes is not an ArrayBuffer or typed array");
+        /**
+         * A promise that resolves with this Image once it has loaded, or rejects if the data could not be decoded.
+         * @type {Promise<Image>}
+         * @public
+         */
+        this.ready = decodeImage(bytes).then(ckImage => {
+            this._ckImage = ckImage;
+            this.width = ckImage.width();
+            this.height = ckImage.height();
+            this.loaded = true;
+            for (const context of contexts.values()) context.invalidate(); // Contexts drawing this image are redrawn
+            return this;
+        });
+        this.ready.catch(() => { }); // Rejections are still delivered to anyone awaiting ready, but are not reported as unhandled
+    }
+
+    /**
+     * Frees the decoded image data. The image cannot be painted afterwards.
+     */
+    delete() {
+        if (this._ckImage) this._ckImage.delete();
+        this._ckImage = null;
+        this.loaded = false;
+    }
+}
+
+async function decodeImage(bytes) {
+    let ckImage;
+    if (typeof createImageBitmap === "function") { // Lets the browser decode off the main thread
+        const bitmap = await createImageBitmap(new Blob([bytes]));
+        ckImage = CanvasKit.MakeImageFromCanvasImageSource(bitmap);
+        bitmap.close();
+    } else {
+        await null;
+        ckImage = CanvasKit.MakeImageFromEncoded(bytes instanceof ArrayBuffer ? new Uint8Array(bytes) : bytes);
+    }
+    if (!ckImage) throw new Error("image could not be decoded");
+    return ckImage;
+}
+
 // Enums
 
 export class Enum {
@@ -443,76 +638,862 @@ export const enums = {
     StrokeCap: new Enum("Butt", "Round", "Square"),
     TextAlign: new Enum("Left", "Center", "Right", "Justify", "Start", "End"),
     VerticalTextAlign: new Enum("Top", "Middle", "Bottom"),
+    FillDirection: new Enum("Vertical", "Horizontal"),
+    HorizontalAlignment: new Enum("Left", "Center", "Right"),
+    VerticalAlignment: new Enum("Top", "Middle", "Bottom"),
+    SortOrder: new Enum("ZIndex", "Name", "Custom"),
+    JustifyContent: new Enum("Start", "Center", "End", "SpaceBetween", "SpaceAround", "SpaceEvenly"),
+    AlignItems: new Enum("Start", "Center", "End", "Stretch"),
+    TileMode: new Enum("Clamp", "Repeat", "Mirror", "Decal"),
+    ScaleType: new Enum("Stretch", "Fit", "Crop", "Tile"),
+    ScrollingDirection: new Enum("X", "Y", "XY"),
+    EasingStyle: new Enum("Linear", "Sine", "Quad", "Cubic", "Quart", "Quint", "Exponential", "Circular", "Back", "Elastic", "Bounce"),
+    EasingDirection: new Enum("In", "Out", "InOut"),
+    FontStyle: new Enum("Upright", "Italic", "Oblique"),
+    TextTruncate: new Enum("None", "Ellipsis"),
+    TextOverflow: new Enum("Visible", "Clip"),
+    AutomaticSize: new Enum("None", "X", "Y", "XY"),
+    AspectType: new Enum("Fit", "Fill"),
 };
 
+// Fonts
+
+function readFontInfo(data) { // Reads the family name, weight, italic flag and variation axes from an OpenType or TrueType font file
+    const view = new DataView(data);
+    const tag = offset => String.fromCharCode(view.getUint8(offset), view.getUint8(offset + 1), view.getUint8(offset + 2), view.getUint8(offset + 3));
+    const fontOffset = tag(0) === "ttcf" ? view.getUint32(12) : 0; // Only the first font of a collection is used
+    const tables = {};
+    for (let i = 0; i < view.getUint16(fontOffset + 4); i++) {
+        const record = fontOffset + 12 + i * 16;
+        tables[tag(record)] = view.getUint32(record + 8);
+    }
+
+    const names = {};
+    if (tables.name !== undefined) {
+        const count = view.getUint16(tables.name + 2);
+        const stringsOffset = tables.name + view.getUint16(tables.name + 4);
+        for (let i = 0; i < count; i++) {
+            const record = tables.name + 6 + i * 12;
+            const platformId = view.getUint16(record);
+            const languageId = view.getUint16(record + 4);
+            const nameId = view.getUint16(record + 6);
+            const length = view.getUint16(record + 8);
+            const offset = stringsOffset + view.getUint16(record + 10);
+            if (platformId === 3 && languageId === 0x409) { // Windows, English; UTF-16BE
+                let name = "";
+                for (let j = 0; j < length; j += 2) name += String.fromCharCode(view.getUint16(offset + j));
+                names[nameId] = name;
+            } else if (platformId === 1 && languageId === 0 && names[nameId] === undefined) { // Macintosh, English; treated as ASCII
+                let name = "";
+                for (let j = 0; j < length; j++) name += String.fromCharCode(view.getUint8(offset + j));
+                names[nameId] = name;
+            }
+        }
+    }
+
+    const axes = [];
+    if (tables.fvar !== undefined) {
+        const axesOffset = tables.fvar + view.getUint16(tables.fvar + 4);
+        const axisSize = view.getUint16(tables.fvar + 10);
+        for (let i = 0; i < view.getUint16(tables.fvar + 8); i++) {
+            const record = axesOffset + i * axisSize;
+            axes.push(Object.freeze({
+                tag: tag(record),
+                name: names[view.getUint16(record + 18)] ?? tag(record),
+                min: view.getInt32(record + 4) / 65536,
+                default: view.getInt32(record + 8) / 65536,
+                max: view.getInt32(record + 12) / 65536
+            }));
+        }
+    }
+
+    return {
+        family: names[16] ?? names[1] ?? null, // Typographic family name, which groups more than the four styles of the legacy family name
+        weight: tables["OS/2"] !== undefined ? view.getUint16(tables["OS/2"] + 4) : 400,
+        italic: tables["OS/2"] !== undefined ? (view.getUint16(tables["OS/2"] + 62) & 1) === 1 : false,
+        axes: Object.freeze(axes)
+    };
+}
+
+/**
+ * Registry of the font families available to text, used through the `fontFamily`, `fontWeight` and `fontStyle` properties of UIStyle.
+ * 
+ * Several fonts can be registered under one family, such as a regular and a bold font. Weights and styles that are not registered are synthesized from the closest font.
+ * 
+ * Fonts passed to `init` are registered automatically; use the `fontRegistry` instance to register more.
+ * @public
+ */
+export class FontRegistry {
+    /** @type {string[]} Families tried in order for characters missing from a UIStyle's fontFamily, such as emoji and CJK characters. */
+    fallbackFamilies = [];
+
+    #provider = null;
+    #families = new Map(); // Family name -> array of registered fonts
+
+    /**
+     * Registers a font from the contents of a font file. Text in running contexts is laid out again, so it can use the new font.
+     * 
+     * The axes of variable fonts are read and exposed through `getAxes`. CanvasKit cannot render arbitrary positions on them, so variable fonts are drawn at their default position, and other weights are synthesized.
+     * @param {ArrayBuffer|Uint8Array} data The contents of an OpenType or TrueType font file
+     * @param {?string} [family=null] The family to register the font under. If null, the family name in the font is used.
+     * @returns {{family: string, weight: number, style: enums.FontStyle, axes: Object[]}} The registered font
+     * @example <caption>Registers an emoji font as a fallback</caption>
+     * const font = fontRegistry.register(await (await fetch("NotoColorEmoji.ttf")).arrayBuffer());
+     * fontRegistry.fallbackFamilies.push(font.family);
+     */
+    register(data, family = null) {
+        if (!CanvasKit) throw new Error("init has not been called");
+        if (ArrayBuffer.isView(data)) data = data.buffer.slice(data.byteOffset, data.byteOffset + data.byteLength);
+        if (!(data instanceof ArrayBuffer)) throw new Error("data is not ArrayBuffer or Uint8Array");
+
+        const info = readFontInfo(data);
+        family ??= info.family;
+        if (typeof family !== "string") throw new Error("family is not a string and the font has no family name");
+
+        if (!this.#provider) this.#provider = CanvasKit.TypefaceFontProvider.Make();
+        this.#provider.registerFont(data, family);
+
+        const font = Object.freeze({ family, weight: info.weight, style: info.italic ? enums.FontStyle("Italic") : enums.FontStyle("Upright"), axes: info.axes });
+        if (!this.#families.has(family)) this.#families.set(family, []);
+        this.#families.get(family).push(font);
+
+        for (const context of contexts.values()) { // Text already laid out may now use the new font
+            const relayoutText = object => {
+                if (object instanceof TextLabel) context._scheduleLayout(object);
+                for (const child of object.children) relayoutText(child);
+            };
+            if (context.root) relayoutText(context.root);
+        }
+        return font;
+    }
+
+    /** @type {string[]} The names of all registered families. */
+    get families() {
+        return [...this.#families.keys()];
+    }
+
+    /**
+     * Returns the fonts registered under a family.
+     * @param {string} family
+     * @returns {Object[]}
+     */
+    getFonts(family) {
+        return [...(this.#families.get(family) ?? [])];
+    }
+
+    /**
+     * Returns the variation axes of a family's variable font, such as `wght` for weight, or an empty array if it has none.
+     * @param {string} family
+     * @returns {{tag: string, name: string, min: number, default: number, max: number}[]}
+     */
+    getAxes(family) {
+        return this.getFonts(family).find(font => font.axes.length > 0)?.axes ?? [];
+    }
+
+    get _fontProvider() {
+        if (!this.#provider) this.#provider = CanvasKit.TypefaceFontProvider.Make(); // Empty, so text without fonts is laid out but not drawn
+        return this.#provider;
+    }
+}
+
+/** @type {FontRegistry} The registry used by all text. */
+export const fontRegistry = new FontRegistry();
+
 // Layout
 
-function layout(updatePosition, updateChildPosition) { // Default layout
-    const parent = this.parent;
-    const size = this.size;
-    const absolutePosition = this.absolutePosition;
-    const parentAbsoluteSize = parent.absoluteSize;
-    const computedStyle = this.computedStyle;
+function resolveSizeLimit(limit, parentSize, axis) { // Resolves a minSize or maxSize on one axis to pixels; SDim2 scales are relative to the padded size of the parent
+    if (typeof limit === "number") return limit;
+    if (limit instanceof Vector2) return limit[axis];
+    return axis === "x" ? limit.scaleX * parentSize.x + limit.offsetX : limit.scaleY * parentSize.y + limit.offsetY;
+}
+
+function getSizeLimits(object) { // Returns the [minX, minY, maxX, maxY] pixel limits of the object's absoluteSize
+    const parent = object.parent;
+    const parentAbsoluteSize = parent.absoluteCanvasSize ?? parent.absoluteSize;
+    const parentSize = new Vector2(parentAbsoluteSize.x - parent.absolutePaddingLeft - parent.absolutePaddingRight, parentAbsoluteSize.y - parent.absolutePaddingTop - parent.absolutePaddingBottom);
+    const minSize = object.minSize;
+    const maxSize = object.maxSize;
+    return [
+        minSize !== null ? resolveSizeLimit(minSize, parentSize, "x") : -Infinity,
+        minSize !== null ? resolveSizeLimit(minSize, parentSize, "y") : -Infinity,
+        maxSize !== null ? resolveSizeLimit(maxSize, parentSize, "x") : Infinity,
+        maxSize !== null ? resolveSizeLimit(maxSize, parentSize, "y") : Infinity
+    ];
+}
+
+function computeAbsoluteSize(object) { // Computes absoluteSize from size and the parent's absoluteSize, fitted to the object's content, aspectRatio, minSize and maxSize
+    const parent = object.parent;
+    const parentAbsoluteSize = parent.absoluteCanvasSize ?? parent.absoluteSize; // Children of a ScrollingFrame are laid out against its canvas
+    const resolveX = sdim2 => sdim2.scaleX * parentAbsoluteSize.x + sdim2.offsetX - parent.absolutePaddingLeft - parent.absolutePaddingRight;
+    const resolveY = sdim2 => sdim2.scaleY * parentAbsoluteSize.y + sdim2.offsetY - parent.absolutePaddingTop - parent.absolutePaddingBottom;
+
+    const size = object.size;
+    const [minX, minY, maxX, maxY] = getSizeLimits(object);
+    const clampX = x => Math.max(Math.min(x, maxX), minX); // minSize wins when it is larger than maxSize
+    const clampY = y => Math.max(Math.min(y, maxY), minY);
+
+    object.absoluteSize.x = resolveX(size);
+    object.absoluteSize.y = resolveY(size);
+
+    const automaticSize = object.automaticSize;
+    if (automaticSize !== enums.AutomaticSize("None")) {
+        const automaticX = automaticSize === enums.AutomaticSize("X") || automaticSize === enums.AutomaticSize("XY");
+        const automaticY = automaticSize === enums.AutomaticSize("Y") || automaticSize === enums.AutomaticSize("XY");
+
+        computePadding(object); // Content is measured inside the padding of the size computed so far, which is also the minimum size
+        let content = object._measureContent(automaticX, automaticY);
+        if (automaticX) {
+            const width = Math.max(object.absoluteSize.x, content.x + object.absolutePaddingLeft + object.absolutePaddingRight);
+            object.absoluteSize.x = clampX(width);
+            if (automaticY && object.absoluteSize.x < width) { // Content wider than maxSize is measured again at that width, so that text wraps
+                computePadding(object);
+                content = object._measureContent(false, true);
+            }
+        }
+        if (automaticY) object.absoluteSize.y = Math.max(object.absoluteSize.y, content.y + object.absolutePaddingTop + object.absolutePaddingBottom);
+    }
+
+    const aspectRatio = object.aspectRatio;
+    if (aspectRatio > 0) {
+        const fill = object.aspectType === enums.AspectType("Fill");
+        if ((object.absoluteSize.x / object.absoluteSize.y > aspectRatio) === fill) object.absoluteSize.y = object.absoluteSize.x / aspectRatio;
+        else object.absoluteSize.x = object.absoluteSize.y * aspectRatio;
+    }
+
+    object.absoluteSize.x = clampX(object.absoluteSize.x);
+    object.absoluteSize.y = clampY(object.absoluteSize.y);
+}
+
+function computePadding(object) { // Computes absolute padding from the style's padding and absoluteSize
+    const computedStyle = object.computedStyle;
+    const absoluteSizeX = object.absoluteSize.x;
+    const absoluteSizeY = object.absoluteSize.y;
+
+    object.absolutePaddingLeft = computedStyle.paddingLeft.scale * absoluteSizeX + computedStyle.paddingLeft.offset;
+    object.absolutePaddingTop = computedStyle.paddingTop.scale * absoluteSizeY + computedStyle.paddingTop.offset;
+    object.absolutePaddingRight = computedStyle.paddingRight.scale * absoluteSizeX + computedStyle.paddingRight.offset;
+    object.absolutePaddingBottom = computedStyle.paddingBottom.scale * absoluteSizeY + computedStyle.paddingBottom.offset;
+}
+
+function layoutSize(object) { // Computes absoluteSize (unless the parent has already determined it) and absolute padding
+    if (!object.parent._sizesChildren) computeAbsoluteSize(object);
+    computePadding(object);
+}
+
+function layoutPosition(object) { // Computes absolutePosition from position, anchorPoint and the parent's absolutePosition
+    const parent = object.parent;
+    const anchorPoint = object.anchorPoint;
+    const position = object.position;
+    const absolutePosition = object.absolutePosition;
+    const absoluteSize = object.absoluteSize;
+    const parentAbsoluteSize = parent.absoluteCanvasSize ?? parent.absoluteSize;
+    const parentAbsolutePosition = parent.absoluteCanvasPosition ?? parent.absolutePosition;
 
-    const absoluteSizeX = size.scaleX * parentAbsoluteSize.x + size.offsetX - parent.absolutePaddingLeft - parent.absolutePaddingRight;
-    const absoluteSizeY = size.scaleY * parentAbsoluteSize.y + size.offsetY - parent.absolutePaddingTop - parent.absolutePaddingBottom;
+    const absoluteAnchorPointX = anchorPoint.scaleX * absoluteSize.x + anchorPoint.offsetX;
+    const absoluteAnchorPointY = anchorPoint.scaleY * absoluteSize.y + anchorPoint.offsetY;
 
-    this.absolutePaddingLeft = computedStyle.paddingLeft.scale * absoluteSizeX + computedStyle.paddingLeft.offset;
-    this.absolutePaddingTop = computedStyle.paddingTop.scale * absoluteSizeY + computedStyle.paddingTop.offset;
-    this.absolutePaddingRight = computedStyle.paddingRight.scale * absoluteSizeX + computedStyle.paddingRight.offset;
-    this.absolutePaddingBottom = computedStyle.paddingBottom.scale * absoluteSizeY + computedStyle.paddingBottom.offset;
+    object.absoluteAnchorPoint.x = absoluteAnchorPointX;
+    object.absoluteAnchorPoint.y = absoluteAnchorPointY;
+
+    absolutePosition.x = position.scaleX * parentAbsoluteSize.x + position.offsetX - absoluteAnchorPointX + parentAbsolutePosition.x + parent.absolutePaddingLeft;
+    absolutePosition.y = position.scaleY * parentAbsoluteSize.y + position.offsetY - absoluteAnchorPointY + parentAbsolutePosition.y + parent.absolutePaddingTop;
+}
+
+function layoutTransform(object) { // Computes the object's rotation and scale matrix around its anchor point, and the matrix accumulated from its ancestors
+    const absoluteSize = object.absoluteSize;
+    const anchorPoint = object.anchorPoint;
+    const parentTransform = object.parent._transform;
+
+    let localTransform = null;
+    if (object.rotation % 360 !== 0 || object.scale.x !== 1 || object.scale.y !== 1) {
+        const originX = object.absolutePosition.x + anchorPoint.scaleX * absoluteSize.x + anchorPoint.offsetX;
+        const originY = object.absolutePosition.y + anchorPoint.scaleY * absoluteSize.y + anchorPoint.offsetY;
+        localTransform = CanvasKit.Matrix.multiply(
+            CanvasKit.Matrix.rotated(object.rotation * Math.PI / 180, originX, originY),
+            CanvasKit.Matrix.scaled(object.scale.x, object.scale.y, originX, originY)
+        );
+    }
 
-    this.absoluteSize.x = absoluteSizeX;
-    this.absoluteSize.y = absoluteSizeY;
+    object._localTransform = localTransform;
+    object._transform = localTransform && parentTransform ? CanvasKit.Matrix.multiply(parentTransform, localTransform) : localTransform ?? parentTransform;
+    object._inverseTransform = object._transform === parentTransform ? object.parent._inverseTransform : CanvasKit.Matrix.invert(object._transform);
+}
 
-    if (updatePosition) {
-        const anchorPoint = this.anchorPoint;
-        const position = this.position;
-        const parentAbsolutePosition = parent.absolutePosition;
+function getTransformedBounds(object) { // Returns the [left, top, right, bottom] bounding box of the object on the canvas, after transformation
+    const x = object.absolutePosition.x;
+    const y = object.absolutePosition.y;
+    const right = x + object.absoluteSize.x;
+    const bottom = y + object.absoluteSize.y;
+    if (!object._transform) return [x, y, right, bottom];
+
+    const corners = CanvasKit.Matrix.mapPoints(object._transform, [x, y, right, y, right, bottom, x, bottom]);
+    const xs = [corners[0], corners[2], corners[4], corners[6]];
+    const ys = [corners[1], corners[3], corners[5], corners[7]];
+    return [Math.min(...xs), Math.min(...ys), Math.max(...xs), Math.max(...ys)];
+}
 
-        const absoluteAnchorPointX = anchorPoint.scaleX * absoluteSizeX + anchorPoint.offsetX;
-        const absoluteAnchorPointY = anchorPoint.scaleY * absoluteSizeY + anchorPoint.offsetY;
+function layoutVisibility(object) { // Determines whether the object intersects the screen and the clip rects of its ancestors
+    layoutTransform(object);
 
-        this.absoluteAnchorPoint.x = absoluteAnchorPointX;
-        this.absoluteAnchorPoint.y = absoluteAnchorPointY;
+    const contextSize = object._context.size;
+    const parentClipRect = object.parent._clipRect;
 
-        absolutePosition.x = position.scaleX * parentAbsoluteSize.x + position.offsetX - absoluteAnchorPointX + parentAbsolutePosition.x + parent.absolutePaddingLeft;
-        absolutePosition.y = position.scaleY * parentAbsoluteSize.y + position.offsetY - absoluteAnchorPointY + parentAbsolutePosition.y + parent.absolutePaddingTop;
+    let left = 0, top = 0, right = contextSize.x, bottom = contextSize.y;
+    if (parentClipRect) {
+        left = Math.max(left, parentClipRect[0]);
+        top = Math.max(top, parentClipRect[1]);
+        right = Math.min(right, parentClipRect[2]);
+        bottom = Math.min(bottom, parentClipRect[3]);
     }
 
-    const contextSize = this._context.size;
-    this.visibleOnScreen = absolutePosition.x < contextSize.x && absolutePosition.y < contextSize.y && absolutePosition.x + absoluteSizeX > 0 && absolutePosition.y + absoluteSizeY > 0;
+    const bounds = getTransformedBounds(object);
+    object.visibleOnScreen = bounds[0] < right && bounds[1] < bottom && bounds[2] > left && bounds[3] > top;
+
+    object._clipRect = object.clipsDescendants ? [ // The bounding box is used for transformed objects, which may clip descendants to a smaller area
+        Math.max(left, bounds[0]),
+        Math.max(top, bounds[1]),
+        Math.min(right, bounds[2]),
+        Math.min(bottom, bounds[3])
+    ] : parentClipRect;
+}
+
+function layout(updatePosition, updateChildPosition) { // Default layout
+    layoutSize(this);
+    if (updatePosition) layoutPosition(this);
+    layoutVisibility(this);
 
     for (const child of this.children) {
         if (child.visible && child.layout) child.layout(updateChildPosition !== false);
     }
 }
 
+function getLayoutChildren(container) { // Returns the visible children of a layout container, ordered by its sortOrder
+    const children = container.children.filter(child => child.visible && child.layout);
+    switch (container.sortOrder) {
+        case enums.SortOrder("ZIndex"):
+            return children.sort((a, b) => a.zIndex - b.zIndex);
+        case enums.SortOrder("Name"):
+            return children.sort((a, b) => a.name.localeCompare(b.name));
+        case enums.SortOrder("Custom"):
+            return container.sortComparator ? children.sort(container.sortComparator) : children;
+    }
+    return children;
+}
+
+function listLayout(updatePosition) { // Layout used by ListLayoutFrame; children are stacked along fillDirection and their position and anchorPoint are ignored
+    layoutSize(this);
+    if (updatePosition) layoutPosition(this);
+    layoutVisibility(this);
+
+    const children = getLayoutChildren(this);
+    const vertical = this.fillDirection === enums.FillDirection("Vertical");
+
+    const contentX = this.absolutePosition.x + this.absolutePaddingLeft;
+    const contentY = this.absolutePosition.y + this.absolutePaddingTop;
+    const contentWidth = this.absoluteSize.x - this.absolutePaddingLeft - this.absolutePaddingRight;
+    const contentHeight = this.absoluteSize.y - this.absolutePaddingTop - this.absolutePaddingBottom;
+
+    const spacing = this.spacing.scale * (vertical ? contentHeight : contentWidth) + this.spacing.offset;
+
+    let totalLength = Math.max(children.length - 1, 0) * spacing;
+    for (const child of children) {
+        computeAbsoluteSize(child);
+        totalLength += vertical ? child.absoluteSize.y : child.absoluteSize.x;
+    }
+
+    const horizontalFactor = this.horizontalAlignment / 2; // Left, Center and Right map to 0, 0.5 and 1
+    const verticalFactor = this.verticalAlignment / 2; // Top, Middle and Bottom map to 0, 0.5 and 1
+
+    let cursor = ((vertical ? contentHeight : contentWidth) - totalLength) * (vertical ? verticalFactor : horizontalFactor);
+    for (const child of children) {
+        const absoluteSize = child.absoluteSize;
+        child.absoluteAnchorPoint.x = 0;
+        child.absoluteAnchorPoint.y = 0;
+        if (vertical) {
+            child.absolutePosition.x = contentX + (contentWidth - absoluteSize.x) * horizontalFactor;
+            child.absolutePosition.y = contentY + cursor;
+            cursor += absoluteSize.y + spacing;
+        } else {
+            child.absolutePosition.x = contentX + cursor;
+            child.absolutePosition.y = contentY + (contentHeight - absoluteSize.y) * verticalFactor;
+            cursor += absoluteSize.x + spacing;
+        }
+        child.layout(false);
+    }
+}
+
+function measureListContent() { // Measures the children of a ListLayoutFrame stacked along fillDirection
+    const children = getLayoutChildren(this);
+    const vertical = this.fillDirection === enums.FillDirection("Vertical");
+    const contentLength = vertical ? this.absoluteSize.y - this.absolutePaddingTop - this.absolutePaddingBottom : this.absoluteSize.x - this.absolutePaddingLeft - this.absolutePaddingRight;
+    const spacing = this.spacing.scale * contentLength + this.spacing.offset;
+
+    let length = Math.max(children.length - 1, 0) * spacing, cross = 0;
+    for (const child of children) {
+        computeAbsoluteSize(child);
+        length += vertical ? child.absoluteSize.y : child.absoluteSize.x;
+        cross = Math.max(cross, vertical ? child.absoluteSize.x : child.absoluteSize.y);
+    }
+    return vertical ? new Vector2(cross, length) : new Vector2(length, cross);
+}
+
+function placeGridChildren(container, children) { // Places children in order, each into the next free cells after the previous child that fit its gridSpan (earlier gaps stay empty), returning the cell size, gaps, placements and the size of the cells used
+    const horizontal = container.fillDirection === enums.FillDirection("Horizontal");
+    const contentWidth = container.absoluteSize.x - container.absolutePaddingLeft - container.absolutePaddingRight;
+    const contentHeight = container.absoluteSize.y - container.absolutePaddingTop - container.absolutePaddingBottom;
+
+    const cellSize = container.cellSize;
+    const cellGap = container.cellGap;
+    const cellWidth = cellSize.scaleX * contentWidth + cellSize.offsetX;
+    const cellHeight = cellSize.scaleY * contentHeight + cellSize.offsetY;
+    const gapX = cellGap.scaleX * contentWidth + cellGap.offsetX;
+    const gapY = cellGap.scaleY * contentHeight + cellGap.offsetY;
+
+    let lineCells = Math.floor(container.fillDirectionMaxCells);
+    if (lineCells <= 0) lineCells = Math.max(Math.floor(horizontal ? (contentWidth + gapX) / (cellWidth + gapX) : (contentHeight + gapY) / (cellHeight + gapY)), 1);
+
+    // Cells are addressed by line (row when filling horizontally) and index along the line
+    const occupied = [];
+    const fits = (line, index, mainSpan, crossSpan) => {
+        if (index + mainSpan > lineCells) return false;
+        for (let l = line; l < line + crossSpan; l++) {
+            if (!occupied[l]) continue;
+            for (let i = index; i < index + mainSpan; i++) if (occupied[l][i]) return false;
+        }
+        return true;
+    };
+
+    const placements = [];
+    let cursorLine = 0, cursorIndex = 0, lineCount = 0, usedCells = 0;
+    for (const child of children) {
+        const mainSpan = Math.min(Math.max(Math.round(horizontal ? child.gridSpan.x : child.gridSpan.y), 1), lineCells);
+        const crossSpan = Math.max(Math.round(horizontal ? child.gridSpan.y : child.gridSpan.x), 1);
+
+        let line = cursorLine, index = cursorIndex;
+        while (!fits(line, index, mainSpan, crossSpan)) {
+            index++;
+            if (index + mainSpan > lineCells) { line++; index = 0; }
+        }
+        for (let l = line; l < line + crossSpan; l++) {
+            if (!occupied[l]) occupied[l] = [];
+            for (let i = index; i < index + mainSpan; i++) occupied[l][i] = true;
+        }
+
+        cursorLine = line;
+        cursorIndex = index + mainSpan;
+        lineCount = Math.max(lineCount, line + crossSpan);
+        usedCells = Math.max(usedCells, index + mainSpan);
+        placements.push([child, line, index, mainSpan, crossSpan]);
+    }
+
+    const columns = horizontal ? usedCells : lineCount;
+    const rows = horizontal ? lineCount : usedCells;
+    return {
+        cellWidth, cellHeight, gapX, gapY, placements,
+        width: columns * cellWidth + Math.max(columns - 1, 0) * gapX,
+        height: rows * cellHeight + Math.max(rows - 1, 0) * gapY
+    };
+}
+
+function gridLayout(updatePosition) { // Layout used by GridLayoutFrame; children are placed in order, each into the next free cells after the previous child that fit its gridSpan
+    layoutSize(this);
+    if (updatePosition) layoutPosition(this);
+    layoutVisibility(this);
+
+    const horizontal = this.fillDirection === enums.FillDirection("Horizontal");
+    const { cellWidth, cellHeight, gapX, gapY, placements, width, height } = placeGridChildren(this, getLayoutChildren(this));
+
+    const contentWidth = this.absoluteSize.x - this.absolutePaddingLeft - this.absolutePaddingRight;
+    const contentHeight = this.absoluteSize.y - this.absolutePaddingTop - this.absolutePaddingBottom;
+    const gridX = this.absolutePosition.x + this.absolutePaddingLeft + (contentWidth - width) * this.horizontalAlignment / 2; // Left, Center and Right map to 0, 0.5 and 1
+    const gridY = this.absolutePosition.y + this.absolutePaddingTop + (contentHeight - height) * this.verticalAlignment / 2; // Top, Middle and Bottom map to 0, 0.5 and 1
+
+    for (const [child, line, index, mainSpan, crossSpan] of placements) {
+        const column = horizontal ? index : line;
+        const row = horizontal ? line : index;
+        const columnSpan = horizontal ? mainSpan : crossSpan;
+        const rowSpan = horizontal ? crossSpan : mainSpan;
+
+        child.absoluteSize.x = columnSpan * cellWidth + (columnSpan - 1) * gapX;
+        child.absoluteSize.y = rowSpan * cellHeight + (rowSpan - 1) * gapY;
+        child.absoluteAnchorPoint.x = 0;
+        child.absoluteAnchorPoint.y = 0;
+        child.absolutePosition.x = gridX + column * (cellWidth + gapX);
+        child.absolutePosition.y = gridY + row * (cellHeight + gapY);
+        child.layout(false);
+    }
+}
+
+function measureGridContent() { // Measures the cells used by the children of a GridLayoutFrame
+    const grid = placeGridChildren(this, getLayoutChildren(this));
+    return new Vector2(grid.width, grid.height);
+}
+
+function getFlexLines(children, horizontal, mainSize, spacing, wraps) { // Breaks children into lines using their basis
+    const lines = [];
+    let line = null, lineLength = 0;
+    for (const child of children) {
+        computeAbsoluteSize(child);
+        const [minX, minY, maxX, maxY] = getSizeLimits(child);
+        const min = Math.max(horizontal ? minX : minY, 0), max = horizontal ? maxX : maxY;
+        let basis = child.flexBasis ? child.flexBasis.scale * mainSize + child.flexBasis.offset : (horizontal ? child.absoluteSize.x : child.absoluteSize.y);
+        basis = Math.max(Math.min(basis, max), min);
+        const item = { child, basis, main: basis, min, max, cross: horizontal ? child.absoluteSize.y : child.absoluteSize.x, minCross: horizontal ? minY : minX, maxCross: horizontal ? maxY : maxX };
+        if (!line || (wraps && line.length > 0 && lineLength + spacing + basis > mainSize)) {
+            line = [];
+            lineLength = -spacing;
+            lines.push(line);
+        }
+        line.push(item);
+        lineLength += spacing + basis;
+    }
+    return lines;
+}
+
+function flexLayout(updatePosition) { // Layout used by FlexLayoutFrame; children grow and shrink along fillDirection to share the available space
+    layoutSize(this);
+    if (updatePosition) layoutPosition(this);
+    layoutVisibility(this);
+
+    const children = getLayoutChildren(this);
+    const horizontal = this.fillDirection === enums.FillDirection("Horizontal");
+
+    const contentX = this.absolutePosition.x + this.absolutePaddingLeft;
+    const contentY = this.absolutePosition.y + this.absolutePaddingTop;
+    const contentWidth = this.absoluteSize.x - this.absolutePaddingLeft - this.absolutePaddingRight;
+    const contentHeight = this.absoluteSize.y - this.absolutePaddingTop - this.absolutePaddingBottom;
+    const mainSize = horizontal ? contentWidth : contentHeight;
+    const crossSize = horizontal ? contentHeight : contentWidth;
+
+    const spacing = this.spacing.scale * mainSize + this.spacing.offset;
+    const lineSpacing = this.lineSpacing.scale * crossSize + this.lineSpacing.offset;
+
+    const lines = getFlexLines(children, horizontal, mainSize, spacing, this.wraps);
+
+    const justifyContent = this.justifyContent;
+    const alignItems = this.alignItems;
+
+    let crossCursor = 0;
+    for (const line of lines) {
+        // Distribute free space by grow, or remove overflowing space by shrink weighted by basis
+        // Items clamped by minSize or maxSize are frozen, and the space they could not take is shared by the others
+        let flexible = line;
+        while (flexible.length > 0) {
+            let freeSpace = mainSize - (line.length - 1) * spacing;
+            let totalGrow = 0, totalShrink = 0;
+            for (const item of line) freeSpace -= flexible.includes(item) ? item.basis : item.main;
+            for (const item of flexible) {
+                totalGrow += item.child.flexGrow;
+                totalShrink += item.child.flexShrink * item.basis;
+            }
+
+            let violation = 0; // Positive when items were grown to their minSize, negative when clamped to their maxSize
+            const unclamped = new Map();
+            for (const item of flexible) {
+                let main = item.basis;
+                if (freeSpace > 0 && totalGrow > 0) main += freeSpace * item.child.flexGrow / totalGrow;
+                else if (freeSpace < 0 && totalShrink > 0) main += freeSpace * item.child.flexShrink * item.basis / totalShrink;
+                item.main = Math.max(Math.min(main, item.max), item.min);
+                unclamped.set(item, main);
+                violation += item.main - main;
+            }
+            const frozen = flexible.filter(item => violation > 0 ? item.main > unclamped.get(item) : violation < 0 ? item.main < unclamped.get(item) : item.main !== unclamped.get(item));
+            if (frozen.length === 0) break;
+            flexible = flexible.filter(item => !frozen.includes(item));
+        }
+
+        let lineCross = 0;
+        if (lines.length === 1 && !this.wraps) lineCross = crossSize;
+        else for (const item of line) lineCross = Math.max(lineCross, item.cross);
+
+        let remainingSpace = mainSize - (line.length - 1) * spacing;
+        for (const item of line) remainingSpace -= item.main;
+
+        let mainCursor = 0, gap = spacing;
+        if (remainingSpace > 0) {
+            switch (justifyContent) {
+                case enums.JustifyContent("Center"):
+                    mainCursor = remainingSpace / 2;
+                    break;
+                case enums.JustifyContent("End"):
+                    mainCursor = remainingSpace;
+                    break;
+                case enums.JustifyContent("SpaceBetween"):
+                    if (line.length > 1) gap += remainingSpace / (line.length - 1);
+                    break;
+                case enums.JustifyContent("SpaceAround"):
+                    mainCursor = remainingSpace / line.length / 2;
+                    gap += remainingSpace / line.length;
+                    break;
+                case enums.JustifyContent("SpaceEvenly"):
+                    mainCursor = remainingSpace / (line.length + 1);
+                    gap += remainingSpace / (line.length + 1);
+                    break;
+            }
+        }
+
+        for (const item of line) {
+            const child = item.child;
+            const cross = alignItems === enums.AlignItems("Stretch") ? Math.max(Math.min(lineCross, item.maxCross), item.minCross) : item.cross;
+            let crossOffset = 0;
+            if (alignItems === enums.AlignItems("Center")) crossOffset = (lineCross - cross) / 2;
+            else if (alignItems === enums.AlignItems("End")) crossOffset = lineCross - cross;
+
+            child.absoluteAnchorPoint.x = 0;
+            child.absoluteAnchorPoint.y = 0;
+            if (horizontal) {
+                child.absoluteSize.x = item.main;
+                child.absoluteSize.y = cross;
+                child.absolutePosition.x = contentX + mainCursor;
+                child.absolutePosition.y = contentY + crossCursor + crossOffset;
+            } else {
+                child.absoluteSize.x = cross;
+                child.absoluteSize.y = item.main;
+                child.absolutePosition.x = contentX + crossCursor + crossOffset;
+                child.absolutePosition.y = contentY + mainCursor;
+            }
+            child.layout(false);
+
+            mainCursor += item.main + gap;
+        }
+
+        crossCursor += lineCross + lineSpacing;
+    }
+}
+
+function measureFlexContent(automaticX, automaticY) { // Measures the lines the children of a FlexLayoutFrame are broken into, at their basis
+    const horizontal = this.fillDirection === enums.FillDirection("Horizontal");
+    const contentWidth = this.absoluteSize.x - this.absolutePaddingLeft - this.absolutePaddingRight;
+    const contentHeight = this.absoluteSize.y - this.absolutePaddingTop - this.absolutePaddingBottom;
+    const mainSize = horizontal ? contentWidth : contentHeight;
+    const crossSize = horizontal ? contentHeight : contentWidth;
+    const spacing = this.spacing.scale * mainSize + this.spacing.offset;
+    const lineSpacing = this.lineSpacing.scale * crossSize + this.lineSpacing.offset;
+
+    const wraps = this.wraps && !(horizontal ? automaticX : automaticY); // Lines only wrap when the main axis has a fixed size
+    const lines = getFlexLines(getLayoutChildren(this), horizontal, mainSize, spacing, wraps);
+    let main = 0, cross = Math.max(lines.length - 1, 0) * lineSpacing;
+    for (const line of lines) {
+        main = Math.max(main, line.reduce((length, item) => length + item.basis, (line.length - 1) * spacing));
+        cross += Math.max(...line.map(item => item.cross));
+    }
+    return horizontal ? new Vector2(main, cross) : new Vector2(cross, main);
+}
+
 // Styles
 
+const nativeObjects = new FinalizationRegistry(ckObject => ckObject.delete()); // Frees the CanvasKit objects cached by Paints once they are garbage collected
+let colorPaint = null;
+
+function getColorPaint(color) { // Returns a shared anti-aliased CanvasKit paint set to a Color, which must be drawn with before the next call and must not be deleted
+    if (!colorPaint) {
+        colorPaint = new CanvasKit.Paint();
+        colorPaint.setAntiAlias(true);
+    }
+    colorPaint.setColor(color._ckColor);
+    return colorPaint;
+}
+
 /**
  * Paint class for determining how a component should be painted.
+ * 
+ * Points and radii are expressed as SDim2s relative to the absolute rect of the painted component, so `SDim2.fromScale(1, 1)` is its bottom right corner.
  * @public
  */
 export class Paint {
+    /** @type {?enums.PaintType} Determines which of the properties below are used. */
     type = null;
 
-    _toCkPaint() {
+    /** @type {?Color} The color painted when type is `Color`. */
+    color = null;
+
+    /** @type {?Color[]} The colors of the gradient when type is `LinearGradient` or `RadialGradient`. */
+    colors = null;
+    /** @type {?number[]} The position [0-1] of each color in `colors` along the gradient. If null, the colors are spaced evenly. */
+    colorPositions = null;
+    /** @type {?SDim2} The point where a `LinearGradient` starts. */
+    start = null;
+    /** @type {?SDim2} The point where a `LinearGradient` ends. */
+    end = null;
+    /** @type {?SDim2} The center of a `RadialGradient`. */
+    center = null;
+    /** @type {?SDim2} The horizontal (X) and vertical (Y) radius of a `RadialGradient`. */
+    radius = null;
+    /** @type {enums.TileMode} Determines how a gradient is painted beyond its ends. */
+    tileMode = enums.TileMode("Clamp");
+
+    /** @type {?Image} The image painted when type is `Image`. Nothing is painted until the image has loaded. */
+    image = null;
+    /** @type {enums.ScaleType} Determines how an image is scaled to the painted rect. */
+    scaleType = enums.ScaleType("Stretch");
+    /** @type {?SDim2} The size of each tile when scaleType is `Tile`. If null, the size of the image in pixels is used. */
+    tileSize = null;
+    /** @type {?Color} A color multiplied with each pixel of an image. */
+    tint = null;
+
+    #ckPaint = null; // Cached CanvasKit paint, rebuilt when the values in #ckPaintKey change
+    #ckPaintKey = null;
+
+    /**
+     * Returns the CanvasKit paint for a rect at the origin, which is cached by this Paint and must not be changed or deleted.
+     * @param {Vector2} size The absolute size of the painted rect
+     */
+    _toCkPaint(size) {
+        const key = [];
+        for (const property in this) key.push(this[property]);
+        if (this.colors) key.push(...this.colors); // Arrays may be changed in place
+        if (this.colorPositions) key.push(...this.colorPositions);
+        if (this.type === enums.PaintType("Image")) key.push(this.image?._ckImage);
+        if (this.type !== enums.PaintType("Color")) key.push(size.x, size.y); // Only colors are painted the same at every size
+        if (this.#ckPaint && key.length === this.#ckPaintKey.length && key.every((value, i) => value === this.#ckPaintKey[i])) return this.#ckPaint;
+
+        this.delete();
+        this.#ckPaint = this._makeCkPaint(size);
+        this.#ckPaintKey = key;
+        nativeObjects.register(this, this.#ckPaint, this);
+        return this.#ckPaint;
+    }
+
+    /**
+     * Frees the CanvasKit paint cached by this Paint. It is built again the next time this Paint is painted.
+     */
+    delete() {
+        if (!this.#ckPaint) return;
+        nativeObjects.unregister(this);
+        this.#ckPaint.delete();
+        this.#ckPaint = null;
+        this.#ckPaintKey = null;
+    }
+
+    _makeCkPaint(size) {
         const paint = new CanvasKit.Paint();
         switch (this.type) {
             case enums.PaintType("Color"):
                 paint.setColor(this.color._ckColor);
                 break;
-            case enums.PaintType("LinearGradient"):
+            case enums.PaintType("LinearGradient"): {
+                const shader = CanvasKit.Shader.MakeLinearGradient(
+                    [this.start.scaleX * size.x + this.start.offsetX, this.start.scaleY * size.y + this.start.offsetY],
+                    [this.end.scaleX * size.x + this.end.offsetX, this.end.scaleY * size.y + this.end.offsetY],
+                    this.colors.map(color => color._ckColor),
+                    this.colorPositions,
+                    CanvasKit.TileMode[enums.TileMode.from(this.tileMode)]
+                );
+                paint.setShader(shader);
+                shader.delete();
                 break;
-            case enums.PaintType("RadialGradient"):
+            }
+            case enums.PaintType("RadialGradient"): {
+                const centerX = this.center.scaleX * size.x + this.center.offsetX;
+                const centerY = this.center.scaleY * size.y + this.center.offsetY;
+                const radiusX = this.radius.scaleX * size.x + this.radius.offsetX;
+                const radiusY = this.radius.scaleY * size.y + this.radius.offsetY;
+                if (radiusX <= 0 || radiusY <= 0) break;
+                const shader = CanvasKit.Shader.MakeRadialGradient(
+                    [centerX, centerY],
+                    radiusX,
+                    this.colors.map(color => color._ckColor),
+                    this.colorPositions,
+                    CanvasKit.TileMode[enums.TileMode.from(this.tileMode)],
+                    CanvasKit.Matrix.scaled(1, radiusY / radiusX, centerX, centerY) // Skia only draws circular gradients, so the circle is stretched into an ellipse
+                );
+                paint.setShader(shader);
+                shader.delete();
                 break;
-            case enums.PaintType("Image"):
+            }
+            case enums.PaintType("Image"): {
+                const image = this.image;
+                if (!image || !image.loaded) {
+                    paint.setColor(CanvasKit.TRANSPARENT);
+                    break;
+                }
+                let scaleX = size.x / image.width, scaleY = size.y / image.height;
+                let tileMode = CanvasKit.TileMode.Decal;
+                switch (this.scaleType) {
+                    case enums.ScaleType("Fit"):
+                        scaleX = scaleY = Math.min(scaleX, scaleY);
+                        break;
+                    case enums.ScaleType("Crop"):
+                        scaleX = scaleY = Math.max(scaleX, scaleY);
+                        break;
+                    case enums.ScaleType("Tile"):
+                        scaleX = this.tileSize ? (this.tileSize.scaleX * size.x + this.tileSize.offsetX) / image.width : 1;
+                        scaleY = this.tileSize ? (this.tileSize.scaleY * size.y + this.tileSize.offsetY) / image.height : 1;
+                        tileMode = CanvasKit.TileMode.Repeat;
+                        break;
+                }
+                const centered = this.scaleType === enums.ScaleType("Fit") || this.scaleType === enums.ScaleType("Crop");
+                const x = centered ? (size.x - image.width * scaleX) / 2 : 0;
+                const y = centered ? (size.y - image.height * scaleY) / 2 : 0;
+                const shader = image._ckImage.makeShaderOptions(tileMode, tileMode, CanvasKit.FilterMode.Linear, CanvasKit.MipmapMode.None, CanvasKit.Matrix.multiply(CanvasKit.Matrix.translated(x, y), CanvasKit.Matrix.scaled(scaleX, scaleY)));
+                paint.setShader(shader);
+                shader.delete();
+                if (this.tint) {
+                    const colorFilter = CanvasKit.ColorFilter.MakeBlend(this.tint._ckColor, CanvasKit.BlendMode.Modulate);
+                    paint.setColorFilter(colorFilter);
+                    colorFilter.delete();
+                }
                 break;
+            }
         }
         return paint;
     }
+
+    /**
+     * Creates a paint from a linear gradient running from `start` to `end`. Called on StrokePaint or FillPaint, it creates a paint of that type.
+     * @param {SDim2} start
+     * @param {SDim2} end
+     * @param {Color[]} colors
+     * @param {?number[]} [positions=null] The position [0-1] of each color along the gradient. If null, the colors are spaced evenly.
+     * @returns {Paint}
+     * @example <caption>Creates a FillPaint that fades from red at the top to blue at the bottom</caption>
+     * FillPaint.fromLinearGradient(SDim2.fromScale(0, 0), SDim2.fromScale(0, 1), [Color.fromRGB(255, 0, 0), Color.fromRGB(0, 0, 255)]);
+     * @example <caption>Creates a StrokePaint that fades from red on the left edge to blue on the right edge</caption>
+     * StrokePaint.fromLinearGradient(SDim2.fromScale(0, 0), SDim2.fromScale(1, 0), [Color.fromRGB(255, 0, 0), Color.fromRGB(0, 0, 255)]);
+     */
+    static fromLinearGradient(start, end, colors, positions = null) {
+        if (!(start instanceof SDim2)) throw new Error("start is not SDim2");
+        if (!(end instanceof SDim2)) throw new Error("end is not SDim2");
+        validateGradient(colors, positions);
+        const paint = new this();
+        paint.type = enums.PaintType("LinearGradient");
+        paint.start = start;
+        paint.end = end;
+        paint.colors = colors;
+        paint.colorPositions = positions;
+        return paint;
+    }
+
+    /**
+     * Creates a paint from a radial gradient spreading out from `center`. Called on StrokePaint or FillPaint, it creates a paint of that type.
+     * @param {SDim2} center
+     * @param {SDim2} radius The horizontal (X) and vertical (Y) radius of the gradient
+     * @param {Color[]} colors
+     * @param {?number[]} [positions=null] The position [0-1] of each color along the gradient. If null, the colors are spaced evenly.
+     * @returns {Paint}
+     * @example <caption>Creates a FillPaint with a spotlight in the center that fades to transparent at the edges</caption>
+     * FillPaint.fromRadialGradient(SDim2.fromScale(0.5, 0.5), SDim2.fromScale(0.5, 0.5), [Color.fromRGB(255, 255, 255), Color.fromRGB(255, 255, 255, 0)]);
+     */
+    static fromRadialGradient(center, radius, colors, positions = null) {
+        if (!(center instanceof SDim2)) throw new Error("center is not SDim2");
+        if (!(radius instanceof SDim2)) throw new Error("radius is not SDim2");
+        validateGradient(colors, positions);
+        const paint = new this();
+        paint.type = enums.PaintType("RadialGradient");
+        paint.center = center;
+        paint.radius = radius;
+        paint.colors = colors;
+        paint.colorPositions = positions;
+        return paint;
+    }
+}
+
+function validateGradient(colors, positions) {
+    if (!Array.isArray(colors) || colors.length < 2) throw new Error("colors is not an array of at least 2 Colors");
+    for (const color of colors) if (!(color instanceof Color)) throw new Error("colors contains a value that is not Color");
+    if (positions !== null && (!Array.isArray(positions) || positions.length !== colors.length)) throw new Error("positions is not an array with the same length as colors");
 }
+
 export class StrokePaint extends Paint {
     strokeWidth = 1;
     strokeMiter = 4;
@@ -520,8 +1501,8 @@ export class StrokePaint extends Paint {
     strokeCap = enums.StrokeCap("Round");
     strokeJoin = enums.StrokeJoin("Round");
 
-    _toCkPaint() {
-        const paint = super._toCkPaint();
+    _makeCkPaint(size) {
+        const paint = super._makeCkPaint(size);
         paint.setStrokeWidth(this.strokeWidth);
         paint.setStrokeMiter(this.strokeMiter);
         paint.setStrokeCap(CanvasKit.StrokeCap[enums.StrokeCap.from(this.strokeCap)]);
@@ -532,12 +1513,14 @@ export class StrokePaint extends Paint {
 
     /**
      * Copies this StrokePaint, returning a new Paint with the same values as this one.
+     * 
+     * This is a shallow copy; properties that are objects (such as Color) will be copied by reference.
      * @returns {StrokePaint}
      */
     copy() {
         const newPaint = new StrokePaint();
         for (const property in this) newPaint[property] = this[property];
-        return newStyle;
+        return newPaint;
     }
 
     /**
@@ -555,8 +1538,8 @@ export class StrokePaint extends Paint {
     }
 }
 export class FillPaint extends Paint {
-    _toCkPaint() {
-        const paint = super._toCkPaint();
+    _makeCkPaint(size) {
+        const paint = super._makeCkPaint(size);
         return paint;
     }
 
@@ -569,7 +1552,7 @@ export class FillPaint extends Paint {
     copy() {
         const newPaint = new FillPaint();
         for (const property in this) newPaint[property] = this[property];
-        return newStyle;
+        return newPaint;
     }
 
     /**
@@ -585,6 +1568,26 @@ export class FillPaint extends Paint {
         paint.color = color;
         return paint;
     }
+
+    /**
+     * Creates a FillPaint from an Image.
+     * @param {Image} image
+     * @param {enums.ScaleType} [scaleType=enums.ScaleType("Stretch")]
+     * @param {?Color} [tint=null]
+     * @returns {FillPaint}
+     * @example
+     * FillPaint.fromImage(image, enums.ScaleType("Crop"));
+     */
+    static fromImage(image, scaleType = enums.ScaleType("Stretch"), tint = null) {
+        if (!(image instanceof Image)) throw new Error("image is not Image");
+        if (tint !== null && !(tint instanceof Color)) throw new Error("tint is not Color");
+        const paint = new FillPaint();
+        paint.type = enums.PaintType("Image");
+        paint.image = image;
+        paint.scaleType = scaleType;
+        paint.tint = tint;
+        return paint;
+    }
 }
 
 /**
@@ -606,12 +1609,73 @@ export class UIStyle {
     /** @type {?SDim} The bottom padding of the element, represented as an SDim. Padding affects the positioning of text and all child elements. */
     paddingBottom = null;
 
+    /** @type {?StrokePaint} The StrokePaint used to render the border of the element. The border is drawn inside the bounds of the element; a strokeWidth of 0 draws no border. */
+    border = null;
+    /** @type {?SDim} The radius of the top left corner of the element. The scale is relative to the smaller of the element's width and height, so a scale of 0.5 produces a pill or circle. */
+    cornerRadiusTopLeft = null;
+    /** @type {?SDim} The radius of the top right corner of the element. The scale is relative to the smaller of the element's width and height. */
+    cornerRadiusTopRight = null;
+    /** @type {?SDim} The radius of the bottom right corner of the element. The scale is relative to the smaller of the element's width and height. */
+    cornerRadiusBottomRight = null;
+    /** @type {?SDim} The radius of the bottom left corner of the element. The scale is relative to the smaller of the element's width and height. */
+    cornerRadiusBottomLeft = null;
+
+    /** @type {?Shadow} The drop shadow cast by the element. A fully transparent color draws no shadow. */
+    shadow = null;
+    /** @type {?number} The standard deviation in pixels of a blur applied to the element and its descendants. */
+    blur = null;
+    /** @type {?number} The standard deviation in pixels of a blur applied to whatever is drawn behind the element, for frosted glass effects. Only visible through a translucent background. */
+    backdropBlur = null;
+    /** @type {?number} The opacity [0-1] of the element and its descendants. */
+    opacity = null;
+
     /** @type {?number} The size of the text */
     textSize = null;
     /** @type {?enums.TextAlign} Determines how text will be aligned horizontally. */
     textAlign = null;
     /** @type {?enums.VerticalTextAlign} Determines how text will be aligned vertically. */
     verticalTextAlign = null;
+    /** @type {?string} The family of the font text is drawn with. Characters missing from it are drawn with fontRegistry.fallbackFamilies. */
+    fontFamily = null;
+    /** @type {?number} The weight [100-900] of the font text is drawn with. 400 is regular and 700 is bold. */
+    fontWeight = null;
+    /** @type {?enums.FontStyle} Whether text is drawn upright, italic or oblique. */
+    fontStyle = null;
+    /** @type {?number} Additional space in pixels between characters. Can be negative. */
+    letterSpacing = null;
+    /** @type {?number} The height of each line of text as a multiple of textSize. If 0, the line height of the font is used. */
+    lineHeight = null;
+    /** @type {?boolean} Whether text wraps onto new lines when it is wider than the element. */
+    textWrapped = null;
+    /** @type {?number} The maximum number of lines of text. If 0, the number of lines is unlimited. */
+    maxLines = null;
+    /** @type {?enums.TextTruncate} Whether text that does not fit ends with an ellipsis. Text that is not wrapped is truncated to its first line. */
+    textTruncate = null;
+    /** @type {?enums.TextOverflow} Whether text that does not fit is drawn outside of the element or clipped to it. */
+    textOverflow = null;
+    /** @type {?boolean} Whether textSize is ignored and text is drawn at the largest size that fits the element. */
+    textScaled = null;
+
+    #observers = new Set(); // UIObjects and StyleSheets notified when a property of this style changes
+
+    constructor() {
+        for (const property of Object.keys(this)) {
+            let value = this[property];
+            Object.defineProperty(this, property, {
+                enumerable: true,
+                set: function(newValue) {
+                    if (Object.isFrozen(this)) throw new Error("style is read-only");
+                    if (newValue === value) return;
+                    value = newValue;
+                    for (const observer of this.#observers) observer._onStyleChanged(this, property);
+                },
+                get: function() { return value }
+            });
+        }
+    }
+
+    _addObserver(observer) { this.#observers.add(observer); }
+    _removeObserver(observer) { this.#observers.delete(observer); }
 
     /**
      * Returns a UIStyle initialized to default values.
@@ -625,9 +1689,29 @@ export class UIStyle {
         style.paddingTop = new SDim();
         style.paddingRight = new SDim();
         style.paddingBottom = new SDim();
+        style.border = StrokePaint.fromColor(Color.fromRGB(0, 0, 0, 0));
+        style.border.strokeWidth = 0;
+        style.cornerRadiusTopLeft = new SDim();
+        style.cornerRadiusTopRight = new SDim();
+        style.cornerRadiusBottomRight = new SDim();
+        style.cornerRadiusBottomLeft = new SDim();
+        style.shadow = new Shadow();
+        style.blur = 0;
+        style.backdropBlur = 0;
+        style.opacity = 1;
         style.textSize = 14;
         style.textAlign = enums.TextAlign("Center");
         style.verticalTextAlign = enums.VerticalTextAlign("Middle");
+        style.fontFamily = "Inter";
+        style.fontWeight = 400;
+        style.fontStyle = enums.FontStyle("Upright");
+        style.letterSpacing = 0;
+        style.lineHeight = 0;
+        style.textWrapped = true;
+        style.maxLines = 0;
+        style.textTruncate = enums.TextTruncate("None");
+        style.textOverflow = enums.TextOverflow("Visible");
+        style.textScaled = false;
         return style;
     }
 
@@ -675,8 +1759,235 @@ export class UIStyle {
 }
 Object.freeze(UIStyle.default);
 
+const styleStates = { // State name in selectors -> function returning whether a UIObject is in that state
+    hover: object => object.hovered,
+    pressed: object => object.pressed,
+    focused: object => object.focused,
+    disabled: object => object.disabled
+};
+
+function hasStyleType(object, type) { // Whether object's class, or a class it extends, has the styleType type
+    for (let constructor = object.constructor; constructor; constructor = Object.getPrototypeOf(constructor)) {
+        if (Object.hasOwn(constructor, "styleType") && constructor.styleType === type) return true;
+    }
+    return false;
+}
+
+/**
+ * Collection of rules that apply UIStyles to the UIObjects of a Context, assigned with `Context.styleSheet`.
+ * 
+ * A selector is made of an optional type (the `styleType` of the UIObject's class or a class it extends, such as `TextLabel`, which also matches TextBoxes), any number of `.class` names from `UIObject.classes`
+ * and any number of `:state`s (`:hover`, `:pressed`, `:focused` or `:disabled`). An object matches a selector when it matches all of its parts.
+ * Several selectors can be separated by commas.
+ * 
+ * Rules with more states take precedence, then rules with more classes, then rules with a type, then rules added later.
+ * The styles of matching rules are applied before `UIObject.styles` and `UIObject.style`, which take precedence over them.
+ * @public
+ * @example <caption>Styles buttons that darken when hovered and pressed</caption>
+ * const styleSheet = new StyleSheet();
+ * styleSheet.add(".button", buttonStyle);
+ * styleSheet.add(".button:hover", hoverStyle);
+ * styleSheet.add(".button:pressed", pressedStyle);
+ * styleSheet.add("Frame:disabled, TextLabel:disabled", disabledStyle);
+ * context.styleSheet = styleSheet;
+ * button.classes.push("button");
+ */
+export class StyleSheet {
+    #rules = []; // Sorted from least to most specific
+    #observers = new Set(); // Contexts using this StyleSheet
+
+    /**
+     * Adds a rule applying `style` to every UIObject matching `selector`.
+     * @param {string} selector
+     * @param {UIStyle} style
+     */
+    add(selector, style) {
+        if (typeof selector !== "string") throw new Error("selector is not a string");
+        if (!(style instanceof UIStyle)) throw new Error("style is not UIStyle");
+        const rules = selector.split(",").map(part => {
+            const match = part.trim().match(/^([A-Za-z_$][\w$]*)?((?:\.[\w-]+)*)((?::[a-z]+)*)$/);
+            if (!match || part.trim() === "") throw new Error("selector is not valid");
+            const classes = match[2].split(".").slice(1);
+            const states = match[3].split(":").slice(1);
+            for (const state of states) if (!styleStates[state]) throw new Error("selector is not valid");
+            return { type: match[1] ?? null, classes, states, style, specificity: states.length * 10000 + classes.length * 100 + (match[1] ? 1 : 0) };
+        });
+        for (const rule of rules) {
+            let index = this.#rules.length;
+            while (index > 0 && this.#rules[index - 1].specificity > rule.specificity) index--;
+            this.#rules.splice(index, 0, rule);
+        }
+        style._addObserver(this);
+        this._onStyleChanged();
+    }
+
+    /**
+     * Removes every rule applying `style`.
+     * @param {UIStyle} style
+     */
+    remove(style) {
+        if (!(style instanceof UIStyle)) throw new Error("style is not UIStyle");
+        this.#rules = this.#rules.filter(rule => rule.style !== style);
+        style._removeObserver(this);
+        this._onStyleChanged();
+    }
+
+    _addObserver(context) { this.#observers.add(context); }
+    _removeObserver(context) { this.#observers.delete(context); }
+    _onStyleChanged() { // Called when the rules or the properties of their styles change, which may restyle any object
+        for (const context of this.#observers) context._invalidateStyles();
+    }
+
+    _getStyles(object) { // Returns the styles of the rules matching object, from least to most specific
+        const styles = [];
+        for (const rule of this.#rules) {
+            if (rule.type !== null && !hasStyleType(object, rule.type)) continue;
+            if (!rule.classes.every(name => object.classes.includes(name))) continue;
+            if (!rule.states.every(state => styleStates[state](object))) continue;
+            styles.push(rule.style);
+        }
+        return styles;
+    }
+}
+
+/**
+ * Reference to a named token of the Context's Theme, which can be assigned to any UIStyle property in place of a literal value.
+ * 
+ * If the Theme has no such token, the property takes its default value.
+ * @public
+ * @example
+ * style.color = new ThemeToken("text");
+ */
+export class ThemeToken {
+    /** @type {string} The name of the token in `Theme.tokens`. */
+    name;
+
+    /**
+     * @param {string} name
+     */
+    constructor(name) {
+        if (typeof name !== "string") throw new Error("name is not a string");
+        this.name = name;
+        Object.freeze(this);
+    }
+}
+
+/**
+ * Named design tokens, such as colors, spacing SDims, text sizes and radii, that UIStyles reference with ThemeTokens. Assigned with `Context.theme`.
+ * 
+ * `background` and `border` tokens may be Colors, which are painted as a FillPaint or a StrokePaint of that color.
+ * @public
+ * @example <caption>Switches between a light and a dark theme</caption>
+ * const light = new Theme({ surface: Color.fromRGB(255, 255, 255), text: Color.fromRGB(0, 0, 0), gap: SDim.fromOffset(8) });
+ * const dark = light.extend({ surface: Color.fromRGB(30, 30, 30), text: Color.fromRGB(255, 255, 255) });
+ * 
+ * style.background = new ThemeToken("surface");
+ * style.color = new ThemeToken("text");
+ * style.paddingLeft = new ThemeToken("gap");
+ * context.theme = darkMode ? dark : light;
+ */
+export class Theme {
+    /** @type {Object<string, *>} The value of each token by name. */
+    tokens;
+
+    /**
+     * @param {Object<string, *>} [tokens={}]
+     */
+    constructor(tokens = {}) {
+        if (typeof tokens !== "object" || tokens === null) throw new Error("tokens is not an object");
+        this.tokens = { ...tokens };
+    }
+
+    /**
+     * Returns a new Theme with the tokens of this one, replaced and added to by `tokens`.
+     * @param {Object<string, *>} tokens
+     * @returns {Theme}
+     */
+    extend(tokens) {
+        if (typeof tokens !== "object" || tokens === null) throw new Error("tokens is not an object");
+        return new Theme({ ...this.tokens, ...tokens });
+    }
+}
+
+function resolveThemeTokens(style, theme) { // Replaces the ThemeTokens of a merged style with the values of theme, or default values for missing tokens
+    for (const property in style) {
+        const value = style[property];
+        if (!(value instanceof ThemeToken)) continue;
+        let resolved = theme && value.name in theme.tokens ? theme.tokens[value.name] : null;
+        if (property === "background" && resolved instanceof Color) resolved = FillPaint.fromColor(resolved);
+        else if (property === "border" && resolved instanceof Color) resolved = StrokePaint.fromColor(resolved);
+        style[property] = resolved ?? UIStyle.default[property];
+    }
+    return style;
+}
+
+// Events
+
+/**
+ * Event class passed to callbacks connected with `Node.on`.
+ * 
+ * Events other than `pointerEnter`, `pointerLeave`, `focus` and `blur` bubble up `Node.parent` until they reach the root or `stopPropagation` is called.
+ * @public
+ */
+export class UIEvent {
+    /** @type {string} The name of the event, such as `"click"`. */
+    type;
+    /** @type {?Node} The Node the event was originally fired on. */
+    target = null;
+    /** @type {?Node} The Node whose callback is currently being run. */
+    currentTarget = null;
+    /** @type {boolean} Whether the event travels up `Node.parent` after being fired on its target. */
+    bubbles = true;
+    /** @type {?Vector2} The position of the pointer relative to the top left corner of the canvas. */
+    position = null;
+    /** @type {?Vector2} The scroll amount in pixels of a `wheel` event. */
+    delta = null;
+    /** @type {number} The pointer button that changed state, using the same numbering as DOM events. */
+    button = 0;
+    /** @type {number} The id of the pointer that caused the event. */
+    pointerId = 0;
+    /** @type {string} The type of pointer that caused the event (`"mouse"`, `"pen"` or `"touch"`). */
+    pointerType = "mouse";
+    /** @type {?Event} The DOM event that caused this event, if any. */
+    originalEvent = null;
+    /** @type {?string} The URL of the link that was clicked, for `linkClick` events. */
+    href = null;
+
+    #propagationStopped = false;
+
+    /**
+     * @param {string} type
+     * @param {Object} [properties] Properties to assign to the event.
+     */
+    constructor(type, properties = {}) {
+        if (typeof type !== "string") throw new Error("type is not a string");
+        this.type = type;
+        Object.assign(this, properties);
+    }
+
+    get propagationStopped() { return this.#propagationStopped; }
+
+    /**
+     * Prevents the event from bubbling to any further ancestors.
+     */
+    stopPropagation() { this.#propagationStopped = true; }
+
+    /**
+     * Prevents the default browser action of the DOM event that caused this event.
+     */
+    preventDefault() { if (this.originalEvent) this.originalEvent.preventDefault(); }
+}
+
 // UI
 
+function setContext(node, context) { // Sets the Context of a node and its descendants, whose styles may differ in the new Context
+    if (node._context === context) return;
+    node._invalidateStyle?.();
+    node._context = context;
+    node._observeStyles?.();
+    for (const child of node.children) setContext(child, context);
+}
+
 export class Node {
     name = "Node";
 
@@ -687,170 +1998,1725 @@ export class Node {
 
     set parent(newParent) {
         if (newParent === this.#parent) return;
+        if (this._context && this._context !== newParent?._context) { // Focus is lost when the focused object or one of its ancestors leaves the tree
+            for (let node = this._context.focusedObject; node; node = node.parent) if (node === this) { this._context.setFocus(null); break; }
+        }
         if (this.#parent) {
             this.#parent.children.splice(this.#parent.children.indexOf(this), 1);
-            this.#parent._context._scheduleLayout(this.#parent);
+            this.#parent._context?._scheduleLayout(this.#parent);
         }
         if (newParent === null) {
-            this._context = null;
+            setContext(this, null);
             this.#parent = null;
             return;
         }
-        this._context = newParent._context;
+        setContext(this, newParent._context);
         newParent.children.push(this);
-        this._context._scheduleLayout(this);
         this.#parent = newParent;
+        this._context?._scheduleLayout(this);
     }
 
     get parent() { return this.#parent; }
 
     getChild(name) { return this.children.find(child => child.name === name); }
+
+    #listeners = new Map();
+
+    /**
+     * Connects a callback to an event fired on this Node.
+     * @param {string} type The name of the event, such as `"click"`
+     * @param {function(UIEvent): void} callback
+     * @example
+     * button.on("click", event => console.log("Clicked at", event.position));
+     */
+    on(type, callback) {
+        if (typeof type !== "string") throw new Error("type is not a string");
+        if (typeof callback !== "function") throw new Error("callback is not a function");
+        if (!this.#listeners.has(type)) this.#listeners.set(type, []);
+        this.#listeners.get(type).push(callback);
+    }
+
+    /**
+     * Disconnects a callback previously connected with `on`.
+     * @param {string} type
+     * @param {function(UIEvent): void} callback
+     */
+    off(type, callback) {
+        const callbacks = this.#listeners.get(type);
+        if (!callbacks) return;
+        const index = callbacks.indexOf(callback);
+        if (index !== -1) callbacks.splice(index, 1);
+    }
+
+    /**
+     * Fires an event on this Node, bubbling it up `Node.parent` if `event.bubbles` is true.
+     * @param {UIEvent} event
+     */
+    dispatchEvent(event) {
+        if (!(event instanceof UIEvent)) throw new Error("event is not UIEvent");
+        if (event.target === null) event.target = this;
+        let node = this;
+        while (node) {
+            const callbacks = node.#listeners.get(event.type);
+            if (callbacks) {
+                event.currentTarget = node;
+                for (const callback of [...callbacks]) callback(event);
+            }
+            if (!event.bubbles || event.propagationStopped) break;
+            node = node.parent;
+        }
+        event.currentTarget = null;
+    }
+}
+
+function observeArray(array, onChange) { // Returns a proxy of array that calls onChange after elements are added, replaced or removed
+    return new Proxy(array, {
+        set(target, property, value) {
+            target[property] = value;
+            onChange();
+            return true;
+        },
+        deleteProperty(target, property) {
+            delete target[property];
+            onChange();
+            return true;
+        }
+    });
 }
 
 export class UIObject extends Node {
+    /** @type {string} The type StyleSheet selectors match this class and its subclasses by. Subclasses can set their own so that rules can target them. */
+    static styleType = "UIObject";
     name = "UIObject";
 
-    absolutePosition = new Vector2();
-    absoluteSize = new Vector2();
-    absoluteAnchorPoint = new Vector2();
+    absolutePosition = new Vector2();
+    absoluteSize = new Vector2();
+    absoluteAnchorPoint = new Vector2();
+
+    absolutePaddingLeft = 0;
+    absolutePaddingTop = 0;
+    absolutePaddingRight = 0;
+    absolutePaddingBottom = 0;
+
+    visibleOnScreen = true;
+
+    zIndex = 1;
+
+    clipsDescendants = false;
+
+    position = new SDim2();
+    size = new SDim2();
+    anchorPoint = new SDim2();
+    visible = true;
+    /** @type {enums.AutomaticSize} The axes on which the object grows beyond `size` to fit its content, such as its text or the bounds of its children. */
+    automaticSize = enums.AutomaticSize("None");
+    /** @type {?(SDim2|Vector2|number)} The smallest size the object can have. The scale of an SDim2 is relative to the padded size of the parent, and Vector2s and numbers (for both axes) are in pixels. Takes precedence over maxSize. */
+    minSize = null;
+    /** @type {?(SDim2|Vector2|number)} The largest size the object can have, like minSize. */
+    maxSize = null;
+    /** @type {number} The ratio of width to height the object is kept at. If 0, the ratio is not constrained. minSize and maxSize take precedence over it. */
+    aspectRatio = 0;
+    /** @type {enums.AspectType} Whether aspectRatio shrinks the object to fit inside its size, or grows it to fill its size. */
+    aspectType = enums.AspectType("Fit");
+
+    focusable = false; // Whether pressing this object gives it focus, so that it receives keyboard input
+    #disabled = false;
+    #classes = observeArray([], () => this._invalidateStyle());
+
+    /** @type {boolean} Whether the object is disabled. Disabled objects cannot be focused, do not fire `click` and match `:disabled` in style sheets. */
+    get disabled() { return this.#disabled; }
+    set disabled(newValue) {
+        this.#disabled = newValue;
+        if (newValue && this.focused) this._context.setFocus(null); // Disabled objects stop receiving keyboard input
+        this._invalidateStyle();
+    }
+
+    /** @type {string[]} Class names matched by `.class` selectors in the Context's StyleSheet. */
+    get classes() { return this.#classes; }
+    set classes(newValue) {
+        if (!Array.isArray(newValue)) throw new Error("classes is not an array");
+        this.#classes = observeArray([...newValue], () => this._invalidateStyle());
+        this._invalidateStyle();
+    }
+
+    _hovered = false; // Set by the Context while the pointer is over this object or a descendant
+    _pressCount = 0; // Number of pointers pressed on this object or a descendant
+
+    rotation = 0; // Clockwise rotation in degrees around the anchor point. Also rotates descendants
+    scale = new Vector2(1, 1); // Scale factor around the anchor point. Also scales descendants
+
+    gridSpan = new Vector2(1, 1); // Number of columns (X) and rows (Y) this object occupies when its parent is a GridLayoutFrame
+
+    flexGrow = 0; // Share of the free space this object receives when its parent is a FlexLayoutFrame
+    flexShrink = 1; // Share of the overflowing space this object gives up when its parent is a FlexLayoutFrame, weighted by its basis
+    flexBasis = null; // SDim used as the initial main axis size when its parent is a FlexLayoutFrame; if null, size is used
+
+    _clipRect = null; // [left, top, right, bottom] rect that descendants are clipped to, or null if they are only clipped by the screen
+    _localTransform = null; // Matrix applying rotation and scale, or null if neither is set
+    _transform = null; // Matrix accumulated from this object and its ancestors mapping absolute coordinates to the canvas, or null if none are transformed
+    _inverseTransform = null;
+
+    _positionsChildren = false; // Whether the layout of this object determines the absolutePosition of its children
+    _sizesChildren = false; // Whether the layout of this object determines the absoluteSize of its children
+
+    #style = new UIStyle();
+    #styles = observeArray([], () => this.#onStylesChanged());
+    #observedStyles = new Set();
+    #computedStyle = null; // Cached until a style applying to this object changes
+
+    /** @type {UIStyle} Override style; equivalent to HTML .style attribute. Takes precedence over styles in .styles */
+    get style() { return this.#style; }
+    set style(newValue) {
+        if (!(newValue instanceof UIStyle)) throw new Error("style is not UIStyle");
+        this.#style = newValue;
+        this.#onStylesChanged();
+    }
+
+    /** @type {UIStyle[]} Main styles, merged in order. Changes to the array, such as `styles.push(style)`, are observed. */
+    get styles() { return this.#styles; }
+    set styles(newValue) {
+        if (!Array.isArray(newValue)) throw new Error("styles is not an array");
+        this.#styles = observeArray([...newValue], () => this.#onStylesChanged());
+        this.#onStylesChanged();
+    }
+
+    #onStylesChanged() {
+        this._observeStyles();
+        this._invalidateStyle();
+    }
+
+    _observeStyles(observe = this._context !== null) { // Observes the styles in style and styles while this object is in a Context, so that changing their properties invalidates computedStyle without styles keeping detached objects alive
+        const styles = new Set(observe ? [...this.#styles, this.#style].filter(style => style instanceof UIStyle) : []);
+        for (const style of this.#observedStyles) if (!styles.has(style)) style._removeObserver(this);
+        for (const style of styles) if (!this.#observedStyles.has(style)) style._addObserver(this);
+        this.#observedStyles = styles;
+    }
+
+    /** @type {UIStyle} The style this object is drawn with, merged from UIStyle.default, the Context's StyleSheet, styles and style. */
+    get computedStyle() {
+        if (!this._context) return this._computeStyle(); // Changes to styles are not observed outside of a Context
+        if (!this.#computedStyle) this.#computedStyle = this._computeStyle();
+        return this.#computedStyle;
+    }
+
+    _computeStyle() { // Merges the styles applying to this object; subclasses may adjust the result
+        const styleSheet = this._context?.styleSheet;
+        const computedStyle = UIStyle.merge(styleSheet ? [UIStyle.default, ...styleSheet._getStyles(this), ...this.#styles, this.#style] : [UIStyle.default, ...this.#styles, this.#style]);
+        return resolveThemeTokens(computedStyle, this._context?.theme ?? null);
+    }
+
+    _invalidateStyle() { // Discards computedStyle after the styles applying to this object changed
+        const previous = this.#computedStyle;
+        this.#computedStyle = null;
+        if (!this._context) return;
+        this._context.invalidate();
+        if (previous && !this._context._restyled.has(this)) this._context._restyled.set(this, previous); // Compared with the new computedStyle before the next layout
+    }
+
+    _onStyleChanged() { this._invalidateStyle(); }
+
+    /** @type {boolean} Whether the pointer is over this UIObject or one of its descendants. */
+    get hovered() { return this._hovered; }
+    /** @type {boolean} Whether a pointer was pressed on this UIObject or one of its descendants and has not been released. */
+    get pressed() { return this._pressCount > 0; }
+
+    /**
+     * Creates and plays a Tween that animates properties of this UIObject to the values in `goals`.
+     * @param {Object} goals The properties to animate and the values to animate them to
+     * @param {TweenInfo|SpringInfo} [info=new TweenInfo()]
+     * @returns {Tween} The playing Tween
+     * @example
+     * await frame.tween({ position: SDim2.fromScale(0.5, 0.5) }, new TweenInfo(300, enums.EasingStyle("Back"))).finished;
+     */
+    tween(goals, info = new TweenInfo()) {
+        const tween = new Tween(this, info, goals);
+        tween.play();
+        return tween;
+    }
+
+    /** @type {boolean} Whether this UIObject is the focused object of its Context. */
+    get focused() {
+        return this._context !== null && this._context.focusedObject === this;
+    }
+
+    /**
+     * Gives this UIObject focus, firing `blur` on the previously focused object and `focus` on this one. Disabled objects cannot be focused.
+     */
+    focus() {
+        if (this._context && !this.disabled) this._context.setFocus(this);
+    }
+
+    /**
+     * Removes focus from this UIObject if it has it.
+     */
+    blur() {
+        if (this.focused) this._context.setFocus(null);
+    }
+
+    /**
+     * Removes this UIObject from the tree and frees the native resources held by it and its descendants, such as paragraphs and shaders.
+     * Tweens playing on them are cancelled. Images are not deleted, as they may be shared; call `Image.delete` once an image is no longer shown anywhere.
+     * 
+     * Neither this UIObject nor its descendants can be used afterwards. To remove an object that will be added back later, set `parent` to null instead.
+     */
+    destroy() {
+        for (const tween of [...(playingTweens.get(this) ?? [])]) tween.cancel(); // Otherwise they keep setting properties of this object, and keep it alive, until they finish
+        this.parent = null;
+        for (const child of [...this.children]) child.destroy();
+        for (const paint of [this.#style.background, this.#style.border]) if (paint instanceof Paint) paint.delete(); // Shared paints are built again if they are still painted elsewhere
+    }
+
+    paint() { }
+    paintOverlay() { } // Painted after descendants, on top of them
+    layout = layout;
+
+    _overlayContainsPoint() { return false; } // Whether a point lies on something painted by paintOverlay, which takes precedence over descendants in hit testing
+
+    _measureContent(automaticX, automaticY) { // Returns the size of the content inside the padding that automaticSize fits, which by default is the bounds of the visible children
+        const absoluteSize = this.absoluteCanvasSize ?? this.absoluteSize;
+        const content = new Vector2();
+        for (const child of this.children) {
+            if (!child.visible || !child.layout) continue;
+            computeAbsoluteSize(child);
+            const position = child.position;
+            const anchorPoint = child.anchorPoint;
+            const childSize = child.absoluteSize;
+            content.x = Math.max(content.x, position.scaleX * absoluteSize.x + position.offsetX - anchorPoint.scaleX * childSize.x - anchorPoint.offsetX + childSize.x);
+            content.y = Math.max(content.y, position.scaleY * absoluteSize.y + position.offsetY - anchorPoint.scaleY * childSize.y - anchorPoint.offsetY + childSize.y);
+        }
+        return content;
+    }
+
+    /**
+     * Converts a point relative to the top left corner of the canvas to the untransformed space absolutePosition is in, undoing the rotation and scale of this UIObject and its ancestors.
+     * 
+     * Returns null if the transformation cannot be undone, such as when a scale is 0.
+     * @param {Vector2} point
+     * @returns {?Vector2}
+     */
+    toAbsoluteSpace(point) {
+        if (!this._transform) return point;
+        if (!this._inverseTransform) return null; // Singular matrix; no point on the canvas maps to a single point of this UIObject
+        const [x, y] = CanvasKit.Matrix.mapPoints(this._inverseTransform, [point.x, point.y]);
+        return new Vector2(x, y);
+    }
+
+    /**
+     * Returns whether a point relative to the top left corner of the canvas lies within this UIObject's bounds, following its rounded corners and transformation.
+     * @param {Vector2} point
+     * @returns {boolean}
+     */
+    containsPoint(point) {
+        point = this.toAbsoluteSpace(point);
+        if (!point) return false;
+        const x = point.x - this.absolutePosition.x;
+        const y = point.y - this.absolutePosition.y;
+        const width = this.absoluteSize.x;
+        const height = this.absoluteSize.y;
+        if (x < 0 || y < 0 || x >= width || y >= height) return false;
+
+        const rrect = getRRect(this, this.computedStyle);
+        const topLeft = rrect[4], topRight = rrect[6], bottomRight = rrect[8], bottomLeft = rrect[10];
+        const outsideCorner = (radius, dx, dy) => dx > 0 && dy > 0 && dx * dx + dy * dy > radius * radius; // dx and dy are the distances from the corner's center towards the corner
+        if (outsideCorner(topLeft, topLeft - x, topLeft - y)) return false;
+        if (outsideCorner(topRight, x - width + topRight, topRight - y)) return false;
+        if (outsideCorner(bottomRight, x - width + bottomRight, y - height + bottomRight)) return false;
+        if (outsideCorner(bottomLeft, bottomLeft - x, y - height + bottomLeft)) return false;
+        return true;
+    }
+
+    _styleTriggersLayout = new Set(["paddingLeft", "paddingTop", "paddingRight", "paddingBottom"]); // Style properties that change the layout of the object
+    _propertyTriggersLayout(properties) {
+        for (const property of properties) {
+            let value = this[property];
+            Object.defineProperty(this, property, {
+                enumerable: true,
+                set: function(newValue) {
+                    value = newValue;
+                    if (this._context) this._context._scheduleLayout(this);
+                },
+                get: function() { return value }
+            });
+        }
+    }
+    _propertyTriggersPaint(properties) { // For properties that only change how the object is drawn
+        for (const property of properties) {
+            let value = this[property];
+            Object.defineProperty(this, property, {
+                enumerable: true,
+                set: function(newValue) {
+                    value = newValue;
+                    if (this._context) this._context.invalidate();
+                },
+                get: function() { return value }
+            });
+        }
+    }
+
+    constructor() {
+        super();
+        this._propertyTriggersLayout(["position", "size", "anchorPoint", "visible", "automaticSize", "minSize", "maxSize", "aspectRatio", "aspectType", "zIndex", "clipsDescendants", "rotation", "scale", "gridSpan", "flexGrow", "flexShrink", "flexBasis"]);
+        this.#onStylesChanged();
+    }
+}
+
+function getRRect(object, computedStyle, inset = 0) { // Returns the rounded rect of an object's bounds, shrunk on every side by inset
+    const x = object.absolutePosition.x + inset;
+    const y = object.absolutePosition.y + inset;
+    const width = Math.max(object.absoluteSize.x - inset * 2, 0);
+    const height = Math.max(object.absoluteSize.y - inset * 2, 0);
+    const minSize = Math.min(object.absoluteSize.x, object.absoluteSize.y);
+    const topLeft = Math.max(computedStyle.cornerRadiusTopLeft.scale * minSize + computedStyle.cornerRadiusTopLeft.offset - inset, 0);
+    const topRight = Math.max(computedStyle.cornerRadiusTopRight.scale * minSize + computedStyle.cornerRadiusTopRight.offset - inset, 0);
+    const bottomRight = Math.max(computedStyle.cornerRadiusBottomRight.scale * minSize + computedStyle.cornerRadiusBottomRight.offset - inset, 0);
+    const bottomLeft = Math.max(computedStyle.cornerRadiusBottomLeft.scale * minSize + computedStyle.cornerRadiusBottomLeft.offset - inset, 0);
+    const scale = Math.min(1, width / (topLeft + topRight), width / (bottomLeft + bottomRight), height / (topLeft + bottomLeft), height / (topRight + bottomRight)); // Like CSS, radii that overlap are scaled down together
+    if (scale < 1) return Float32Array.of(x, y, x + width, y + height, topLeft * scale, topLeft * scale, topRight * scale, topRight * scale, bottomRight * scale, bottomRight * scale, bottomLeft * scale, bottomLeft * scale);
+    return Float32Array.of(x, y, x + width, y + height, topLeft, topLeft, topRight, topRight, bottomRight, bottomRight, bottomLeft, bottomLeft);
+}
+
+function drawPaintedRRect(canvas, rrect, paint, object) { // Draws an rrect of the object with a Paint, whose shaders are built at the origin so that objects of the same size share them
+    const x = object.absolutePosition.x;
+    const y = object.absolutePosition.y;
+    canvas.save();
+    canvas.translate(x, y);
+    canvas.drawRRect(Float32Array.of(rrect[0] - x, rrect[1] - y, rrect[2] - x, rrect[3] - y, ...rrect.subarray(4)), paint._toCkPaint(object.absoluteSize));
+    canvas.restore();
+}
+
+export class Frame extends UIObject {
+    static styleType = "Frame";
+    name = "Frame";
+
+    paint(canvas) {
+        super.paint(canvas);
+
+        const computedStyle = this.computedStyle;
+
+        drawPaintedRRect(canvas, getRRect(this, computedStyle), computedStyle.background, this);
+        this._paintContent(canvas);
+
+        const border = computedStyle.border;
+        if (border.strokeWidth > 0) drawPaintedRRect(canvas, getRRect(this, computedStyle, border.strokeWidth / 2), border, this); // Stroke is centered on the path, so it is inset to stay inside the bounds
+    }
+
+    _paintContent() { } // Painted between the background and the border
+}
+
+/**
+ * Frame that draws an Image on top of its background.
+ * 
+ * While the image is loading, `placeholder` is drawn in its place.
+ * @public
+ */
+export class ImageLabel extends Frame {
+    static styleType = "ImageLabel";
+    name = "ImageLabel";
+
+    /** @type {?Image} The image drawn by this label. */
+    image = null;
+    /** @type {enums.ScaleType} Determines how the image is scaled to the size of this label. */
+    scaleType = enums.ScaleType("Stretch");
+    /** @type {?SDim2} The size of each tile when scaleType is `Tile`. If null, the size of the image in pixels is used. */
+    tileSize = null;
+    /** @type {?Color} A color multiplied with each pixel of the image. */
+    imageTint = null;
+    /** @type {?FillPaint} The paint drawn while the image is loading. */
+    placeholder = FillPaint.fromColor(Color.fromRGB(0, 0, 0, 0.1));
+
+    #imagePaint = new FillPaint();
+
+    constructor() {
+        super();
+        this._propertyTriggersPaint(["image", "scaleType", "tileSize", "imageTint", "placeholder"]);
+    }
+
+    /**
+     * Removes this ImageLabel from the tree and frees its native resources, including its image. Set `image` to null first to keep an image that other objects still use.
+     */
+    destroy() {
+        super.destroy();
+        this.#imagePaint.delete(); // image and placeholder may be shown elsewhere, so deleting them is left to the caller
+    }
+
+    _paintContent(canvas) {
+        let imagePaint = this.placeholder;
+        if (this.image && this.image.loaded) {
+            imagePaint = this.#imagePaint;
+            imagePaint.type = enums.PaintType("Image");
+            imagePaint.image = this.image;
+            imagePaint.scaleType = this.scaleType;
+            imagePaint.tileSize = this.tileSize;
+            imagePaint.tint = this.imageTint;
+        } else if (!this.image) return;
+        if (!imagePaint) return;
+
+        drawPaintedRRect(canvas, getRRect(this, this.computedStyle), imagePaint, this);
+    }
+}
+
+/**
+ * Frame whose children are laid out on a scrollable canvas, which may be larger than the frame itself.
+ * 
+ * The canvas can be scrolled with the mouse wheel, by dragging with touch or a pen, or by dragging the scroll bars. Descendants are clipped to the frame.
+ * @public
+ */
+export class ScrollingFrame extends Frame {
+    static styleType = "ScrollingFrame";
+    name = "ScrollingFrame";
+
+    /** @type {SDim2} The size of the canvas children are laid out against. The scale is relative to the size of this frame. */
+    canvasSize = SDim2.fromScale(1, 2);
+    /** @type {enums.ScrollingDirection} The axes the canvas can be scrolled along. */
+    scrollingDirection = enums.ScrollingDirection("XY");
+    /** @type {boolean} Whether the canvas can be scrolled by user input. canvasPosition can still be set directly. */
+    scrollingEnabled = true;
+    /** @type {number} The thickness of the scroll bars in pixels. If 0, no scroll bars are drawn. */
+    scrollBarThickness = 6;
+    /** @type {Color} The color of the scroll bars. */
+    scrollBarColor = Color.fromRGB(0, 0, 0, 0.4);
+
+    absoluteCanvasSize = new Vector2();
+    absoluteCanvasPosition = new Vector2();
+
+    #canvasPosition = new Vector2();
+    #drag = null;
+    #velocity = null;
+
+    constructor() {
+        super();
+        this.clipsDescendants = true;
+        this._propertyTriggersLayout(["canvasSize", "scrollingDirection"]);
+        this._propertyTriggersPaint(["scrollBarThickness", "scrollBarColor"]);
+        this.on("wheel", this.#onWheel);
+        this.on("pointerDown", this.#onPointerDown);
+        this.on("pointerMove", this.#onPointerMove);
+        this.on("pointerUp", this.#onPointerUp);
+    }
+
+    /**
+     * The offset in pixels of the visible area from the top left corner of the canvas.
+     * 
+     * The position is clamped to the scrollable range when this frame is laid out. Setting it fires a `scroll` event.
+     * @type {Vector2}
+     */
+    get canvasPosition() { return this.#canvasPosition; }
+    set canvasPosition(newValue) {
+        if (!(newValue instanceof Vector2)) throw new Error("canvasPosition is not Vector2");
+        this.#canvasPosition = newValue;
+        if (this._context) this._context._scheduleLayout(this);
+        this.dispatchEvent(new UIEvent("scroll", { bubbles: false }));
+    }
+
+    layout = function(updatePosition) {
+        layoutSize(this);
+        if (updatePosition) layoutPosition(this);
+        layoutVisibility(this);
+
+        const canvasSize = this.canvasSize;
+        this.absoluteCanvasSize.x = canvasSize.scaleX * this.absoluteSize.x + canvasSize.offsetX;
+        this.absoluteCanvasSize.y = canvasSize.scaleY * this.absoluteSize.y + canvasSize.offsetY;
+
+        this.#canvasPosition = this.#clamp(this.#canvasPosition);
+        this.absoluteCanvasPosition.x = this.absolutePosition.x - this.#canvasPosition.x;
+        this.absoluteCanvasPosition.y = this.absolutePosition.y - this.#canvasPosition.y;
+
+        for (const child of this.children) {
+            if (child.visible && child.layout) child.layout(true);
+        }
+    }
+
+    #getMaxCanvasPosition() {
+        const direction = this.scrollingDirection;
+        return new Vector2(
+            direction === enums.ScrollingDirection("Y") ? 0 : Math.max(this.absoluteCanvasSize.x - this.absoluteSize.x, 0),
+            direction === enums.ScrollingDirection("X") ? 0 : Math.max(this.absoluteCanvasSize.y - this.absoluteSize.y, 0)
+        );
+    }
+
+    #clamp(position) {
+        const max = this.#getMaxCanvasPosition();
+        const x = Math.min(Math.max(position.x, 0), max.x);
+        const y = Math.min(Math.max(position.y, 0), max.y);
+        return x === position.x && y === position.y ? position : new Vector2(x, y);
+    }
+
+    #scrollTo(position) { // Returns whether the canvas moved
+        const clamped = this.#clamp(position);
+        if (clamped.x === this.#canvasPosition.x && clamped.y === this.#canvasPosition.y) return false;
+        this.canvasPosition = clamped;
+        return true;
+    }
+
+    #getScrollBars() { // Returns the absolute rects of the horizontal and vertical scroll bar thumbs, or null for either if it is not shown
+        const thickness = this.scrollBarThickness;
+        const max = this.#getMaxCanvasPosition();
+        const position = this.absolutePosition;
+        const size = this.absoluteSize;
+        let horizontal = null, vertical = null;
+        if (thickness <= 0) return [horizontal, vertical];
+        if (max.x > 0) {
+            const trackLength = size.x - (max.y > 0 ? thickness : 0);
+            const thumbLength = Math.max(size.x / this.absoluteCanvasSize.x * trackLength, Math.min(thickness * 4, trackLength));
+            horizontal = { x: position.x + (trackLength - thumbLength) * this.#canvasPosition.x / max.x, y: position.y + size.y - thickness, width: thumbLength, height: thickness, trackLength };
+        }
+        if (max.y > 0) {
+            const trackLength = size.y - (max.x > 0 ? thickness : 0);
+            const thumbLength = Math.max(size.y / this.absoluteCanvasSize.y * trackLength, Math.min(thickness * 4, trackLength));
+            vertical = { x: position.x + size.x - thickness, y: position.y + (trackLength - thumbLength) * this.#canvasPosition.y / max.y, width: thickness, height: thumbLength, trackLength };
+        }
+        return [horizontal, vertical];
+    }
+
+    #getScrollBarAt(point) {
+        point = this.toAbsoluteSpace(point);
+        if (!point) return null;
+        const [horizontal, vertical] = this.#getScrollBars();
+        const inRect = rect => rect && point.x >= rect.x && point.y >= rect.y && point.x < rect.x + rect.width && point.y < rect.y + rect.height;
+        if (inRect(vertical)) return vertical;
+        if (inRect(horizontal)) return horizontal;
+        return null;
+    }
+
+    _overlayContainsPoint(point) {
+        return this.scrollingEnabled && this.#getScrollBarAt(point) !== null;
+    }
+
+    paintOverlay(canvas) {
+        super.paintOverlay(canvas);
+
+        const paint = getColorPaint(this.scrollBarColor);
+        for (const rect of this.#getScrollBars()) {
+            if (rect) canvas.drawRRect(CanvasKit.RRectXY(CanvasKit.XYWHRect(rect.x, rect.y, rect.width, rect.height), this.scrollBarThickness / 2, this.scrollBarThickness / 2), paint);
+        }
+    }
+
+    #onWheel = e => {
+        if (!this.scrollingEnabled) return;
+        const delta = this.scrollingDirection === enums.ScrollingDirection("X") && e.delta.x === 0 ? new Vector2(e.delta.y, 0) : e.delta; // Vertical wheels scroll frames that only scroll horizontally
+        this.#velocity = null;
+        if (this.#scrollTo(Vector2.add(this.#canvasPosition, delta))) { // Otherwise, the wheel is left to scroll an ancestor
+            e.stopPropagation();
+            e.preventDefault();
+        }
+    }
+
+    #onPointerDown = e => {
+        if (!this.scrollingEnabled || !this._context) return;
+        this.#velocity = null;
+        const position = this.toAbsoluteSpace(e.position); // Drags follow the pointer along the frame's own axes when it is rotated or scaled
+        if (!position) return;
+        const scrollBar = this.#getScrollBarAt(e.position);
+        if (scrollBar) {
+            this.#drag = { pointerId: e.pointerId, scrollBar, start: position, startCanvasPosition: this.#canvasPosition, captured: true, samples: [] };
+            this._context.capturePointer(e.pointerId, this);
+            e.stopPropagation();
+        } else if (e.pointerType !== "mouse") {
+            this.#drag = { pointerId: e.pointerId, scrollBar: null, start: position, startCanvasPosition: this.#canvasPosition, captured: false, samples: [[performance.now(), position]] };
+        }
+    }
+
+    #onPointerMove = e => {
+        const drag = this.#drag;
+        if (!drag || drag.pointerId !== e.pointerId) return;
+        const position = this.toAbsoluteSpace(e.position);
+        if (!position) return;
+        const delta = Vector2.subtract(position, drag.start);
+        const max = this.#getMaxCanvasPosition();
+        const scrollBar = drag.scrollBar;
+        if (scrollBar && scrollBar.width > scrollBar.height) {
+            this.#scrollTo(new Vector2(drag.startCanvasPosition.x + delta.x * max.x / (scrollBar.trackLength - scrollBar.width), this.#canvasPosition.y));
+        } else if (scrollBar) {
+            this.#scrollTo(new Vector2(this.#canvasPosition.x, drag.startCanvasPosition.y + delta.y * max.y / (scrollBar.trackLength - scrollBar.height)));
+        } else {
+            if (!drag.captured) {
+                if (delta.length < 8) return; // Small movements are left to children, such as buttons being tapped
+                drag.captured = true;
+                this._context.capturePointer(e.pointerId, this);
+            }
+            this.#scrollTo(Vector2.subtract(drag.startCanvasPosition, delta));
+            const now = performance.now();
+            drag.samples.push([now, position]);
+            while (drag.samples.length > 2 && now - drag.samples[0][0] > 100) drag.samples.shift();
+        }
+        e.stopPropagation();
+    }
+
+    #onPointerUp = e => {
+        const drag = this.#drag;
+        if (!drag || drag.pointerId !== e.pointerId) return;
+        this.#drag = null;
+        if (drag.scrollBar || !drag.captured || drag.samples.length < 2) return;
+
+        const [startTime, startPosition] = drag.samples[0];
+        const [endTime, endPosition] = drag.samples[drag.samples.length - 1];
+        if (endTime - startTime <= 0 || performance.now() - endTime > 100) return; // The pointer stopped before being released
+        const velocity = Vector2.divide(Vector2.subtract(startPosition, endPosition), endTime - startTime); // Pixels per millisecond
+        this.#startInertia(velocity);
+    }
+
+    #startInertia(velocity) {
+        this.#velocity = velocity;
+        let lastTimestamp = null;
+        const step = timestamp => {
+            const deltaTime = lastTimestamp === null ? 0 : timestamp - lastTimestamp;
+            lastTimestamp = timestamp;
+            if (this.#velocity !== velocity || !this._context) { // Interrupted by other input or removed from the tree
+                frameCallbacks.delete(step);
+                return;
+            }
+            velocity = Vector2.multiply(velocity, Math.pow(0.997, deltaTime));
+            this.#velocity = velocity;
+            const moved = this.#scrollTo(Vector2.add(this.#canvasPosition, Vector2.multiply(velocity, deltaTime))); // Invalidates only this frame's context
+            if ((!moved && deltaTime > 0) || velocity.length < 0.01) {
+                this.#velocity = null;
+                frameCallbacks.delete(step);
+            }
+        };
+        frameCallbacks.add(step);
+        requestUpdate();
+    }
+}
+
+/**
+ * Frame that stacks its children one after another, either vertically or horizontally.
+ * 
+ * The `position` and `anchorPoint` of children are ignored; their `size` is still respected.
+ * @public
+ */
+export class ListLayoutFrame extends Frame {
+    static styleType = "ListLayoutFrame";
+    name = "ListLayoutFrame";
+
+    /** @type {enums.FillDirection} The direction children are stacked in. */
+    fillDirection = enums.FillDirection("Vertical");
+    /** @type {SDim} The space between adjacent children. The scale is relative to the padded size of this frame along fillDirection. */
+    spacing = new SDim();
+    /** @type {enums.HorizontalAlignment} Determines how children are aligned horizontally within the padded area of this frame. */
+    horizontalAlignment = enums.HorizontalAlignment("Left");
+    /** @type {enums.VerticalAlignment} Determines how children are aligned vertically within the padded area of this frame. */
+    verticalAlignment = enums.VerticalAlignment("Top");
+    /** @type {enums.SortOrder} Determines the order children are stacked in. Children with equal sort keys keep the order they were added in. */
+    sortOrder = enums.SortOrder("ZIndex");
+    /** @type {?function(UIObject, UIObject): number} Compare function used to order children when sortOrder is `Custom`. */
+    sortComparator = null;
+
+    _positionsChildren = true;
+
+    constructor() {
+        super();
+        this._propertyTriggersLayout(["fillDirection", "spacing", "horizontalAlignment", "verticalAlignment", "sortOrder", "sortComparator"]);
+    }
+
+    layout = listLayout;
+    _measureContent = measureListContent;
+}
+
+/**
+ * Frame that places its children into a grid of equally sized cells.
+ * 
+ * The `position`, `anchorPoint` and `size` of children are ignored; each child occupies `gridSpan` cells instead.
+ * @public
+ */
+export class GridLayoutFrame extends Frame {
+    static styleType = "GridLayoutFrame";
+    name = "GridLayoutFrame";
+
+    /** @type {SDim2} The size of a single cell. The scale is relative to the padded size of this frame. */
+    cellSize = new SDim2(100, 100);
+    /** @type {SDim2} The gap between adjacent columns (X) and rows (Y). The scale is relative to the padded size of this frame. */
+    cellGap = new SDim2();
+    /** @type {enums.FillDirection} `Horizontal` fills each row before moving to the next; `Vertical` fills each column before moving to the next. */
+    fillDirection = enums.FillDirection("Horizontal");
+    /** @type {number} The maximum number of cells along fillDirection before wrapping. If 0, as many cells as fit within the padded size of this frame are used. */
+    fillDirectionMaxCells = 0;
+    /** @type {enums.HorizontalAlignment} Determines how the grid is aligned horizontally within the padded area of this frame. */
+    horizontalAlignment = enums.HorizontalAlignment("Left");
+    /** @type {enums.VerticalAlignment} Determines how the grid is aligned vertically within the padded area of this frame. */
+    verticalAlignment = enums.VerticalAlignment("Top");
+    /** @type {enums.SortOrder} Determines the order children are placed in. Children with equal sort keys keep the order they were added in. */
+    sortOrder = enums.SortOrder("ZIndex");
+    /** @type {?function(UIObject, UIObject): number} Compare function used to order children when sortOrder is `Custom`. */
+    sortComparator = null;
+
+    _positionsChildren = true;
+    _sizesChildren = true;
+
+    constructor() {
+        super();
+        this._propertyTriggersLayout(["cellSize", "cellGap", "fillDirection", "fillDirectionMaxCells", "horizontalAlignment", "verticalAlignment", "sortOrder", "sortComparator"]);
+    }
+
+    layout = gridLayout;
+    _measureContent = measureGridContent;
+}
+
+/**
+ * Frame that lays out its children along a main axis, similar to a CSS flex container.
+ * 
+ * Children share the free space along the main axis according to their `flexGrow`, `flexShrink` and `flexBasis`. Their `position` and `anchorPoint` are ignored.
+ * @public
+ */
+export class FlexLayoutFrame extends Frame {
+    static styleType = "FlexLayoutFrame";
+    name = "FlexLayoutFrame";
+
+    /** @type {enums.FillDirection} The main axis children are laid out along. */
+    fillDirection = enums.FillDirection("Horizontal");
+    /** @type {enums.JustifyContent} Determines how leftover space along the main axis is distributed between children. */
+    justifyContent = enums.JustifyContent("Start");
+    /** @type {enums.AlignItems} Determines how children are aligned along the cross axis of their line. `Stretch` sizes children to fill the line. */
+    alignItems = enums.AlignItems("Stretch");
+    /** @type {boolean} Whether children that do not fit along the main axis wrap onto a new line. */
+    wraps = false;
+    /** @type {SDim} The space between adjacent children along the main axis. The scale is relative to the padded size of this frame along the main axis. */
+    spacing = new SDim();
+    /** @type {SDim} The space between adjacent lines when wrapping. The scale is relative to the padded size of this frame along the cross axis. */
+    lineSpacing = new SDim();
+    /** @type {enums.SortOrder} Determines the order children are laid out in. Children with equal sort keys keep the order they were added in. */
+    sortOrder = enums.SortOrder("ZIndex");
+    /** @type {?function(UIObject, UIObject): number} Compare function used to order children when sortOrder is `Custom`. */
+    sortComparator = null;
+
+    _positionsChildren = true;
+    _sizesChildren = true;
+
+    constructor() {
+        super();
+        this._propertyTriggersLayout(["fillDirection", "justifyContent", "alignItems", "wraps", "spacing", "lineSpacing", "sortOrder", "sortComparator"]);
+    }
+
+    layout = flexLayout;
+    _measureContent = measureFlexContent;
+}
+
+const richTextTags = { // Tag name -> function returning the formatting applied by the tag given its value, or null if the value is invalid
+    b: () => ({ bold: true }),
+    i: () => ({ italic: true }),
+    u: () => ({ underline: true }),
+    s: () => ({ strikethrough: true }),
+    code: () => ({ code: true }),
+    color: value => /^#?([0-9a-f]{6}|[0-9a-f]{8})$/i.test(value) ? { color: Color.fromHex(value) } : null,
+    size: value => parseFloat(value) > 0 ? { size: parseFloat(value) } : null,
+    font: value => value ? { font: value } : null,
+    a: value => value ? { href: value } : null,
+};
+
+function parseRichText(text) { // Splits markup into runs of text with the formatting of the tags enclosing them. Unknown and unmatched tags are kept as text
+    const runs = [];
+    const stack = [];
+    let formatting = {};
+    let index = 0;
+    const addRun = end => {
+        if (end > index) runs.push({ ...formatting, text: text.slice(index, end).replace(/&(lt|gt|quot|amp);/g, (_, entity) => ({ lt: "<", gt: ">", quot: "\"", amp: "&" })[entity]) });
+    };
+
+    for (const match of text.matchAll(/<(\/?)([a-z]+)(?:(?:\s*=\s*|\s+href\s*=\s*)("[^"]*"|[^\s>"]+))?\s*>/gi)) {
+        const [tag, closing, name, rawValue] = match;
+        const tagName = name.toLowerCase();
+        if (closing) {
+            const openIndex = stack.findLastIndex(entry => entry.tagName === tagName);
+            if (openIndex === -1) continue;
+            addRun(match.index);
+            stack.length = openIndex; // Tags left open inside are closed too
+            formatting = stack.length > 0 ? stack[stack.length - 1].formatting : {};
+        } else {
+            const change = richTextTags[tagName]?.(rawValue?.replace(/^"|"$/g, ""));
+            if (!change) continue;
+            addRun(match.index);
+            formatting = { ...formatting, ...change };
+            stack.push({ tagName, formatting });
+        }
+        index = match.index + tag.length;
+    }
+    addRun(text.length);
+    return runs;
+}
+
+function getTextAlignment(textAlign) { // Returns the fraction [0-1] of the free horizontal space that is left of text aligned with textAlign
+    if (textAlign === enums.TextAlign("Center")) return 0.5;
+    if (textAlign === enums.TextAlign("Right") || textAlign === enums.TextAlign("End")) return 1;
+    return 0;
+}
+
+export class TextLabel extends Frame {
+    static styleType = "TextLabel";
+    name = "TextLabel";
+
+    text = "TextLabel";
+
+    /**
+     * @type {boolean} Whether `text` is formatted with markup tags: `<b>`, `<i>`, `<u>`, `<s>`, `<code>`, `<color=#hex>`, `<size=number>`, `<font="family">` and `<a href="url">`.
+     * 
+     * Use `&lt;`, `&gt;`, `&quot;` and `&amp;` for literal characters. Clicking a link fires a `linkClick` event with its `href`.
+     */
+    richText = false;
+    /** @type {Color} The color of links in rich text. */
+    linkColor = Color.fromRGB(0, 102, 204);
+    /** @type {?string} The font family of `<code>` in rich text. If null, the style's fontFamily is used. */
+    codeFontFamily = null;
+
+    _paragraph = null; // Laid out CanvasKit paragraph, drawn at _paragraphX and _paragraphY
+    _paragraphX = 0;
+    _paragraphY = 0;
+    #clipsText = false;
+    #links = []; // Ranges of the paragraph's text that are links
+
+    constructor() {
+        super();
+        this._propertyTriggersLayout(["text", "richText", "linkColor", "codeFontFamily"]);
+        this.on("click", this.#onClick);
+        for (const property of ["color", "textSize", "textAlign", "verticalTextAlign", "fontFamily", "fontWeight", "fontStyle", "letterSpacing", "lineHeight", "textWrapped", "maxLines", "textTruncate", "textOverflow", "textScaled"]) this._styleTriggersLayout.add(property);
+    }
+
+    destroy() {
+        super.destroy();
+        this._paragraph?.delete();
+        this._paragraph = null;
+    }
+
+    layout = function(updatePosition) {
+        layout.call(this, updatePosition);
+
+        if (!this.visible || !this.visibleOnScreen) return;
+
+        if (this._paragraph) this._paragraph.delete();
+
+        const computedStyle = this.computedStyle;
+        const availableWidth = Math.max(this.absoluteSize.x - this.absolutePaddingLeft - this.absolutePaddingRight, 0);
+        const availableHeight = Math.max(this.absoluteSize.y - this.absolutePaddingTop - this.absolutePaddingBottom, 0);
+
+        let textSize = computedStyle.textSize;
+        if (computedStyle.textScaled) { // Binary search for the largest size that fits, to half a pixel
+            let low = 1, high = Math.max(availableHeight, 1);
+            while (high - low > 0.5) {
+                const size = (low + high) / 2;
+                const paragraph = this.#buildParagraph(computedStyle, size, availableWidth, availableHeight);
+                const width = computedStyle.textWrapped ? paragraph.getMinIntrinsicWidth() : paragraph.getMaxIntrinsicWidth(); // Wrapped text fits if its longest word does
+                const fits = paragraph.getHeight() <= availableHeight && width <= availableWidth && !paragraph.didExceedMaxLines();
+                paragraph.delete();
+                if (fits) low = size;
+                else high = size;
+            }
+            textSize = low;
+        }
+
+        const paragraph = this.#buildParagraph(computedStyle, textSize, availableWidth, availableHeight);
+
+        this._paragraph = paragraph;
+        this.#clipsText = computedStyle.textOverflow === enums.TextOverflow("Clip");
+
+        // Text wider than the element, which is only laid out wider when it is not wrapped, overflows on the sides opposite its alignment
+        this._paragraphX = this.absolutePosition.x + this.absolutePaddingLeft + (availableWidth - paragraph.getMaxWidth()) * getTextAlignment(computedStyle.textAlign);
+
+        switch (computedStyle.verticalTextAlign) {
+            case enums.VerticalTextAlign("Top"):
+                this._paragraphY = this.absolutePosition.y + this.absolutePaddingTop;
+                break;
+            case enums.VerticalTextAlign("Middle"):
+                this._paragraphY = this.absolutePosition.y + (this.absoluteSize.y - this.absolutePaddingTop - this.absolutePaddingBottom) / 2 - paragraph.getHeight() / 2 + this.absolutePaddingTop;
+                break;
+            case enums.VerticalTextAlign("Bottom"):
+                this._paragraphY = this.absolutePosition.y + this.absoluteSize.y - paragraph.getHeight() - this.absolutePaddingBottom;
+                break;
+        }
+    }
+
+    #buildParagraph(computedStyle, textSize, availableWidth, availableHeight) { // Returns the laid out paragraph, wrapped and truncated according to computedStyle
+        const ellipsis = computedStyle.textTruncate === enums.TextTruncate("Ellipsis");
+        let maxLines = computedStyle.maxLines > 0 ? computedStyle.maxLines : 0;
+        if (ellipsis && !computedStyle.textWrapped) maxLines = 1;
+
+        let paragraph = this.#makeParagraph(computedStyle, textSize, maxLines);
+        paragraph.layout(availableWidth);
+
+        const lines = paragraph.getLineMetrics();
+        if (ellipsis && lines.length > 0 && (paragraph.didExceedMaxLines() || paragraph.getHeight() > availableHeight)) {
+            // The ellipsis of CanvasKit's ParagraphStyle draws an extra glyph, so the text is cut where an ellipsis fits at the end of the last line that fits instead
+            const lastLine = lines[Math.max(lines.filter(line => line.baseline + line.descent <= availableHeight).length, 1) - 1];
+            const ellipsisParagraph = this.#makeParagraph(computedStyle, textSize, 0, 0);
+            ellipsisParagraph.layout(availableWidth);
+            let end = Math.min(paragraph.getGlyphPositionAtCoordinate(lastLine.left + availableWidth - ellipsisParagraph.getMaxIntrinsicWidth(), lastLine.baseline).pos, lastLine.endExcludingWhitespaces);
+            ellipsisParagraph.delete();
+
+            while (true) { // Moves the cut back until the ellipsis no longer wraps onto another line
+                paragraph.delete();
+                paragraph = this.#makeParagraph(computedStyle, textSize, 0, end);
+                paragraph.layout(availableWidth);
+                if (paragraph.getLineMetrics().length <= lastLine.lineNumber + 1 || end <= lastLine.startIndex) break;
+                end--;
+            }
+        } else if (!computedStyle.textWrapped && paragraph.getMaxIntrinsicWidth() > availableWidth) paragraph.layout(Math.ceil(paragraph.getMaxIntrinsicWidth()));
+
+        return paragraph;
+    }
+
+    #makeParagraph(computedStyle, textSize, maxLines, truncateAt = null) { // If truncateAt is not null, the text is cut at that index and ends with an ellipsis
+        const textStyle = {
+            color: this._getDisplayColor(computedStyle)._ckColor,
+            fontFamilies: [computedStyle.fontFamily, ...fontRegistry.fallbackFamilies],
+            fontSize: textSize,
+            fontStyle: {
+                weight: { value: computedStyle.fontWeight },
+                slant: CanvasKit.FontSlant[enums.FontStyle.from(computedStyle.fontStyle)]
+            },
+            letterSpacing: computedStyle.letterSpacing,
+            heightMultiplier: Math.max(computedStyle.lineHeight, 0) // 0 uses the line height of the font
+        };
+
+        const paragraphStyle = new CanvasKit.ParagraphStyle({
+            textStyle,
+            textAlign: CanvasKit.TextAlign[enums.TextAlign.from(computedStyle.textAlign)],
+            maxLines
+        });
+
+        const builder = CanvasKit.ParagraphBuilder.MakeFromFontProvider(paragraphStyle, fontRegistry._fontProvider);
+
+        const truncate = (text, end) => {
+            while (end > 0 && /\s/.test(text.charAt(end - 1))) end--;
+            if (end > 0 && /[\uD800-\uDBFF]/.test(text.charAt(end - 1))) end--; // Avoids splitting a surrogate pair
+            return text.slice(0, end) + "\u2026";
+        };
+
+        this.#links = [];
+        if (this.richText) {
+            const sizeScale = textSize / computedStyle.textSize; // Sizes in markup scale with textScaled
+            let offset = 0;
+            let truncated = false;
+            for (const run of parseRichText(this._getDisplayText())) {
+                truncated = truncateAt !== null && offset + run.text.length >= truncateAt;
+                const text = truncated ? truncate(run.text, truncateAt - offset) : run.text;
+                builder.pushStyle(new CanvasKit.TextStyle(this.#getRunTextStyle(textStyle, run, sizeScale)));
+                builder.addText(text);
+                builder.pop();
+                if (run.href) this.#links.push({ start: offset, end: offset + text.length, href: run.href });
+                offset += text.length;
+                if (truncated) break;
+            }
+            if (truncateAt !== null && !truncated) builder.addText("\u2026"); // The text ends before truncateAt, such as when measuring the ellipsis of empty text
+        } else builder.addText(truncateAt === null ? this._getDisplayText() : truncate(this._getDisplayText(), truncateAt));
+
+        const paragraph = builder.build();
+        builder.delete();
+        return paragraph;
+    }
+
+    _measureContent(automaticX, automaticY) {
+        const content = super._measureContent(automaticX, automaticY);
+        const computedStyle = this.computedStyle;
+        const paragraph = this.#makeParagraph(computedStyle, computedStyle.textSize, computedStyle.maxLines > 0 ? computedStyle.maxLines : 0);
+        const availableWidth = Math.max(this.absoluteSize.x - this.absolutePaddingLeft - this.absolutePaddingRight, 0);
+        paragraph.layout(availableWidth);
+        const width = Math.ceil(paragraph.getMaxIntrinsicWidth()); // The width of the text without wrapping
+        if (automaticX || !computedStyle.textWrapped) paragraph.layout(Math.max(width, availableWidth)); // Text only wraps at the width it grows to, or not at all
+        content.x = Math.max(content.x, width);
+        content.y = Math.max(content.y, paragraph.getHeight());
+        paragraph.delete();
+        return content;
+    }
+
+    _getDisplayText() { return this.text; } // The text that is laid out, which subclasses may replace, such as with a placeholder
+    _getDisplayColor(computedStyle) { return computedStyle.color; }
+
+    #getRunTextStyle(textStyle, run, sizeScale) {
+        const runStyle = { ...textStyle, fontStyle: { ...textStyle.fontStyle }, decoration: CanvasKit.NoDecoration };
+        if (run.bold) runStyle.fontStyle.weight = { value: Math.max(textStyle.fontStyle.weight.value, 700) };
+        if (run.italic) runStyle.fontStyle.slant = CanvasKit.FontSlant.Italic;
+        if (run.underline || run.href) runStyle.decoration |= CanvasKit.UnderlineDecoration;
+        if (run.strikethrough) runStyle.decoration |= CanvasKit.LineThroughDecoration;
+        if (run.href) runStyle.color = this.linkColor._ckColor;
+        if (run.color) runStyle.color = run.color._ckColor; // Colors inside links override the link color
+        if (run.size) runStyle.fontSize = run.size * sizeScale;
+        if (run.font) runStyle.fontFamilies = [run.font, ...textStyle.fontFamilies];
+        if (run.code) {
+            runStyle.backgroundColor = Color.fromRGB(0, 0, 0, 0.08)._ckColor;
+            if (this.codeFontFamily) runStyle.fontFamilies = [this.codeFontFamily, ...runStyle.fontFamilies];
+        }
+        runStyle.decorationColor = runStyle.color;
+        return runStyle;
+    }
+
+    /**
+     * Returns the `href` of the rich text link at a point relative to the top left corner of the canvas, or null if there is none.
+     * @param {Vector2} point
+     * @returns {?string}
+     */
+    getLinkAt(point) {
+        if (!this._paragraph || this.#links.length === 0) return null;
+        point = this.toAbsoluteSpace(point);
+        if (!point) return null;
+        const x = point.x - this._paragraphX;
+        const y = point.y - this._paragraphY;
+        for (const link of this.#links) {
+            for (const rect of this._paragraph.getRectsForRange(link.start, link.end, CanvasKit.RectHeightStyle.Max, CanvasKit.RectWidthStyle.Tight)) {
+                if (x >= rect[0] && y >= rect[1] && x < rect[2] && y < rect[3]) return link.href;
+            }
+        }
+        return null;
+    }
+
+    #onClick = e => {
+        if (e.target !== this) return; // Clicks bubbling from children are not on this label's text
+        const href = this.getLinkAt(e.position);
+        if (href !== null) this.dispatchEvent(new UIEvent("linkClick", { position: e.position, button: e.button, pointerId: e.pointerId, pointerType: e.pointerType, originalEvent: e.originalEvent, href }));
+    }
+
+    paint(canvas) {
+        super.paint(canvas);
+        if (this.#clipsText) {
+            canvas.save();
+            canvas.clipRect(CanvasKit.XYWHRect(this.absolutePosition.x, this.absolutePosition.y, this.absoluteSize.x, this.absoluteSize.y), CanvasKit.ClipOp.Intersect, true);
+            canvas.drawParagraph(this._paragraph, this._paragraphX, this._paragraphY);
+            canvas.restore();
+        } else canvas.drawParagraph(this._paragraph, this._paragraphX, this._paragraphY);
+    }
+}
+
+const caretWidth = 1.5;
+
+/**
+ * TextLabel whose text can be selected and edited.
+ * 
+ * Pressing a TextBox focuses it. In the browser, keyboard input, clipboard and IME composition go through a hidden textarea that follows the caret.
+ * Fires `input` when the text is edited, and `submit` when Enter is pressed in a TextBox that is not multiLine.
+ * @public
+ * @example <caption>A search box</caption>
+ * const search = new TextBox();
+ * search.placeholder = "Search";
+ * search.size = new SDim2(0, 240, 0, 32);
+ * search.on("submit", () => console.log("Searching for", search.text));
+ * search.parent = context.root;
+ */
+export class TextBox extends TextLabel {
+    static styleType = "TextBox";
+    name = "TextBox";
+
+    focusable = true;
+
+    /** @type {string} The text shown while the TextBox is empty. */
+    placeholder = "";
+    /** @type {Color} The color of the placeholder text. */
+    placeholderColor = Color.fromRGB(0, 0, 0, 0.4);
+    #multiLine = false;
+    /** @type {boolean} Whether each character is drawn as a bullet, for passwords. Masked text cannot be copied. */
+    masked = false;
+    /** @type {boolean} Whether the text can be edited. If false, it can still be selected and copied. */
+    editable = true;
+    /** @type {Color} The color of the highlight drawn over selected text. */
+    selectionColor = Color.fromRGB(0, 120, 215, 0.3);
+    /** @type {?Color} The color of the caret. If null, the style's color is used. */
+    caretColor = null;
+
+    /** @type {boolean} Whether the text wraps and Enter inserts a new line. If false, new lines are removed from the text. */
+    get multiLine() { return this.#multiLine; }
+    set multiLine(newValue) {
+        this.#multiLine = newValue;
+        this._invalidateStyle(); // computedStyle.textWrapped follows multiLine
+    }
+
+    #anchor = 0; // Index where the selection started, which stays put when it is extended
+    #focus = 0; // Index of the caret, at the end of the selection that moves
+    #scroll = new Vector2(); // How far the paragraph is scrolled to keep the caret visible
+    #blinkStart = 0;
+    #blinkTimeout = null;
+    #composition = null; // { start, baseLength } while an IME composition is in progress
+    #dragPointerId = null;
+    #lastPress = null;
+    #input = null; // Hidden textarea receiving keyboard input while focused
+
+    constructor() {
+        super();
+        this.text = "";
+        this._propertyTriggersLayout(["placeholder", "placeholderColor", "masked", "editable"]);
+        this._propertyTriggersPaint(["selectionColor", "caretColor"]);
+        this.on("pointerDown", this.#onPointerDown);
+        this.on("pointerMove", this.#onPointerMove);
+        this.on("pointerUp", this.#onPointerUp);
+        this.on("click", this.#onTap);
+        this.on("focus", this.#onFocus);
+        this.on("blur", this.#onBlur);
+
+        const layoutText = this.layout;
+        this.layout = function(updatePosition) {
+            layoutText.call(this, updatePosition);
+            if (!this._paragraph || !this.visible || !this.visibleOnScreen) return;
+
+            this.#anchor = Math.min(this.#anchor, this.text.length);
+            this.#focus = Math.min(this.#focus, this.text.length);
+            if (this.#input && this.#input.value !== this.text && !this.#composition) this.#syncToInput(); // The text was set directly
+
+            const caret = this.#getCaretRect(this.#focus);
+            const left = this.absolutePosition.x + this.absolutePaddingLeft;
+            const top = this.absolutePosition.y + this.absolutePaddingTop;
+            const right = Math.max(this.absolutePosition.x + this.absoluteSize.x - this.absolutePaddingRight, left);
+            const bottom = Math.max(this.absolutePosition.y + this.absoluteSize.y - this.absolutePaddingBottom, top);
+            const scrollAxis = (scroll, start, size, caretStart, caretEnd, min, max) => { // Scrolls just enough to show the caret, without scrolling past the ends of the text
+                if (start - scroll + caretStart < min) scroll = start + caretStart - min;
+                if (start - scroll + caretEnd > max) scroll = start + caretEnd - max;
+                if (size <= max - min) return 0;
+                return Math.max(Math.min(scroll, start + size - max), start - min);
+            };
+            this.#scroll = new Vector2(
+                scrollAxis(this.#scroll.x, this._paragraphX, this._paragraph.getMaxWidth() + caretWidth, caret[0], caret[2], left, right),
+                scrollAxis(this.#scroll.y, this._paragraphY, this._paragraph.getHeight(), caret[1], caret[3], top, bottom)
+            );
+            this._paragraphX -= this.#scroll.x;
+            this._paragraphY -= this.#scroll.y;
+
+            if (this.#input) this.#positionInput();
+        }
+    }
+
+    _computeStyle() {
+        const computedStyle = super._computeStyle(); // Text in a TextBox is never truncated or scaled, and scrolls when it overflows instead
+        computedStyle.textWrapped = this.multiLine;
+        computedStyle.maxLines = 0;
+        computedStyle.textTruncate = enums.TextTruncate("None");
+        computedStyle.textOverflow = enums.TextOverflow("Clip");
+        computedStyle.textScaled = false;
+        return computedStyle;
+    }
+
+    _measureContent(automaticX, automaticY) {
+        const content = super._measureContent(automaticX, automaticY);
+        content.x += caretWidth; // Leaves room for the caret after the last character
+        return content;
+    }
+
+    _getDisplayText() {
+        if (this.text.length === 0) return this.placeholder;
+        return this.masked ? "•".repeat(this.text.length) : this.text;
+    }
+
+    _getDisplayColor(computedStyle) {
+        return this.text.length === 0 ? this.placeholderColor : computedStyle.color;
+    }
+
+    /** @type {number} The index in `text` where the selection begins. */
+    get selectionStart() { return Math.min(this.#anchor, this.#focus, this.text.length); }
+    /** @type {number} The index in `text` where the selection ends. Equal to selectionStart when nothing is selected. */
+    get selectionEnd() { return Math.min(Math.max(this.#anchor, this.#focus), this.text.length); }
+    /** @type {string} The selected part of `text`. */
+    get selectedText() { return this.text.slice(this.selectionStart, this.selectionEnd); }
+
+    /**
+     * Selects the text from `anchor` to `focus`, placing the caret at `focus`. If `focus` is omitted, the caret is placed at `anchor` without selecting anything.
+     * @param {number} anchor
+     * @param {number} [focus=anchor]
+     * @example
+     * textBox.select(0, textBox.text.length); // Selects all text
+     */
+    select(anchor, focus = anchor) {
+        if (typeof anchor !== "number") throw new Error("anchor is not a number");
+        if (typeof focus !== "number") throw new Error("focus is not a number");
+        const clamp = index => Math.min(Math.max(Math.round(index), 0), this.text.length);
+        this.#anchor = clamp(anchor);
+        this.#focus = clamp(focus);
+        this.#blinkStart = performance.now();
+        if (this.#input) this.#syncToInput();
+        if (this._context) this._context._scheduleLayout(this);
+    }
+
+    /**
+     * Replaces the selection with `text` as if it was typed, placing the caret after it and firing `input`.
+     * @param {string} text
+     */
+    insertText(text) {
+        if (typeof text !== "string") throw new Error("text is not a string");
+        if (!this.multiLine) text = text.replace(/[\r\n]/g, "");
+        const start = this.selectionStart;
+        this.text = this.text.slice(0, start) + text + this.text.slice(this.selectionEnd);
+        this.select(start + text.length);
+        this.dispatchEvent(new UIEvent("input", { bubbles: false }));
+    }
+
+    /**
+     * Returns the index in `text` closest to a point relative to the top left corner of the canvas.
+     * @param {Vector2} point
+     * @returns {number}
+     */
+    getIndexAt(point) {
+        if (!this._paragraph || this.text.length === 0) return 0;
+        point = this.toAbsoluteSpace(point);
+        if (!point) return 0;
+        const position = this._paragraph.getGlyphPositionAtCoordinate(point.x - this._paragraphX, point.y - this._paragraphY);
+        return Math.min(position.pos, this.text.length);
+    }
+
+    #getCaretRect(index) { // Returns the [left, top, right, bottom] rect of the caret before index, relative to the paragraph
+        const lines = this._paragraph.getLineMetrics();
+        if (lines.length === 0) return Float32Array.of(0, 0, caretWidth, this.computedStyle.textSize);
+        const line = lines[this.#getLineIndexAt(index)];
+
+        const top = line.baseline - line.ascent;
+        const bottom = line.baseline + line.descent;
+        let x = line.left;
+        if (this.text.length === 0) x = this._paragraph.getMaxWidth() * getTextAlignment(this.computedStyle.textAlign); // Shown in front of the placeholder like an empty line of text
+        else if (index > line.startIndex) {
+            for (const rect of this._paragraph.getRectsForRange(line.startIndex, index, CanvasKit.RectHeightStyle.Max, CanvasKit.RectWidthStyle.Tight)) {
+                const center = (rect[1] + rect[3]) / 2;
+                if (center >= top && center <= bottom) x = Math.max(x, rect[2]); // The range of the empty line after a trailing new line also covers the new line
+            }
+        }
+        x = Math.min(x, Math.max(this._paragraph.getMaxWidth(), line.left + line.width)); // Trailing spaces of wrapped lines extend past the paragraph
+        return Float32Array.of(x, top, x + caretWidth, bottom);
+    }
+
+    #getLineIndexAt(index) { // Returns the number of the line the caret before index is on
+        const lines = this._paragraph.getLineMetrics();
+        const text = this._getDisplayText();
+        let lineIndex = 0;
+        lines.forEach((line, i) => {
+            const isAfterTrailingNewLine = i === lines.length - 1 && i > 0 && /[\r\n]$/.test(text); // Its startIndex is that of the new line, so it is treated as starting after it
+            if ((isAfterTrailingNewLine ? text.length : line.startIndex) <= index) lineIndex = i;
+        });
+        return lineIndex;
+    }
+
+    #moveVertically(direction, extend) { // Moves the caret to the line above (-1) or below (1), keeping its horizontal position
+        if (!this._paragraph) return;
+        const lines = this._paragraph.getLineMetrics();
+        const target = lines[this.#getLineIndexAt(this.#focus) + direction];
+        let index;
+        if (!target) index = direction < 0 ? 0 : this.text.length;
+        else index = Math.min(this._paragraph.getGlyphPositionAtCoordinate(this.#getCaretRect(this.#focus)[0], target.baseline - target.ascent / 2).pos, this.text.length);
+        this.select(extend ? this.#anchor : index, index);
+    }
+
+    #onPointerDown = e => {
+        if (e.button !== 0 || e.pointerType === "touch" || this.disabled) return; // Touches place the caret when released, so that they can still scroll
+        const index = this.getIndexAt(e.position);
+        const now = performance.now();
+        const doubleClick = this.#lastPress !== null && now - this.#lastPress.time < 500 && this.#lastPress.index === index;
+        this.#lastPress = doubleClick ? null : { time: now, index };
+        if (doubleClick) {
+            this.#selectWordAt(index);
+            return;
+        }
+        this.select(e.originalEvent?.shiftKey ? this.#anchor : index, index);
+        this.#dragPointerId = e.pointerId;
+        this._context.capturePointer(e.pointerId, this);
+    }
+
+    #onPointerMove = e => {
+        if (e.pointerId !== this.#dragPointerId) return;
+        this.select(this.#anchor, this.getIndexAt(e.position));
+    }
+
+    #onPointerUp = e => {
+        if (e.pointerId === this.#dragPointerId) this.#dragPointerId = null;
+    }
+
+    #onTap = e => {
+        if (e.pointerType === "touch") this.select(this.getIndexAt(e.position));
+    }
+
+    #selectWordAt(index) {
+        if (this.masked || !this._paragraph) { // Words in masked text are not revealed, so everything is selected
+            this.select(0, this.text.length);
+            return;
+        }
+        const word = this._paragraph.getWordBoundary(index);
+        this.select(word.start, word.end);
+    }
+
+    paint(canvas) {
+        super.paint(canvas);
+        if (!this.focused || !this._paragraph) return;
+
+        canvas.save();
+        canvas.clipRect(CanvasKit.XYWHRect(this.absolutePosition.x, this.absolutePosition.y, this.absoluteSize.x, this.absoluteSize.y), CanvasKit.ClipOp.Intersect, true);
+
+        if (this.selectionStart !== this.selectionEnd) {
+            const paint = getColorPaint(this.selectionColor);
+            for (const rect of this._paragraph.getRectsForRange(this.selectionStart, this.selectionEnd, CanvasKit.RectHeightStyle.Max, CanvasKit.RectWidthStyle.Max)) {
+                canvas.drawRect(CanvasKit.LTRBRect(rect[0] + this._paragraphX, rect[1] + this._paragraphY, rect[2] + this._paragraphX, rect[3] + this._paragraphY), paint);
+            }
+        }
+
+        const computedStyle = this.computedStyle;
+        if (this.#composition) { // Text being composed with an IME is underlined until it is committed
+            const paint = getColorPaint(computedStyle.color);
+            const end = this.#composition.start + this.text.length - this.#composition.baseLength;
+            for (const rect of this._paragraph.getRectsForRange(this.#composition.start, end, CanvasKit.RectHeightStyle.Tight, CanvasKit.RectWidthStyle.Tight)) {
+                canvas.drawRect(CanvasKit.LTRBRect(rect[0] + this._paragraphX, rect[3] + this._paragraphY - 1, rect[2] + this._paragraphX, rect[3] + this._paragraphY), paint);
+            }
+        }
+
+        if (this.editable && this.selectionStart === this.selectionEnd) {
+            const elapsed = performance.now() - this.#blinkStart;
+            if (elapsed % 1000 < 500) {
+                const caret = this.#getCaretRect(this.#focus);
+                canvas.drawRect(CanvasKit.LTRBRect(caret[0] + this._paragraphX, caret[1] + this._paragraphY, caret[2] + this._paragraphX, caret[3] + this._paragraphY), getColorPaint(this.caretColor ?? computedStyle.color));
+            }
+            clearTimeout(this.#blinkTimeout);
+            if (this._context.running) this.#blinkTimeout = setTimeout(() => this._context?.invalidate(), 500 - elapsed % 500); // Redraws when the caret blinks next
+        }
 
-    absolutePaddingLeft = 0;
-    absolutePaddingTop = 0;
-    absolutePaddingRight = 0;
-    absolutePaddingBottom = 0;
+        canvas.restore();
+    }
 
-    visibleOnScreen = true;
+    // Input
 
-    zIndex = 1;
+    #onFocus = () => {
+        this.#blinkStart = performance.now();
+        if (!isBrowser || !this._context.canvas) return;
 
-    clipsDescendants = false;
+        const input = document.createElement("textarea");
+        Object.assign(input.style, {
+            position: "fixed", width: "1px", padding: "0", border: "0", margin: "0",
+            opacity: "0", pointerEvents: "none", resize: "none", overflow: "hidden",
+            fontSize: "16px", whiteSpace: "pre" // 16px stops mobile browsers from zooming in on focus
+        });
+        input.autocomplete = "off";
+        input.spellcheck = false;
+        input.setAttribute("autocapitalize", "off");
+        input.addEventListener("input", this.#onInput);
+        input.addEventListener("keydown", this.#onKeyDown);
+        input.addEventListener("select", this.#syncFromInput);
+        input.addEventListener("selectionchange", this.#syncFromInput);
+        input.addEventListener("compositionstart", this.#onCompositionStart);
+        input.addEventListener("compositionend", this.#onCompositionEnd);
+        input.addEventListener("copy", this.#onCopy);
+        input.addEventListener("cut", this.#onCopy);
+        input.addEventListener("blur", this.#onInputBlur);
+        this.#input = input;
+        this.#syncToInput();
+        this.#positionInput();
+        document.body.appendChild(input);
+        input.focus({ preventScroll: true });
+    }
 
-    position = new SDim2();
-    size = new SDim2();
-    anchorPoint = new SDim2();
-    visible = true;
+    #onBlur = () => {
+        const input = this.#input;
+        this.#composition = null;
+        this.#dragPointerId = null;
+        clearTimeout(this.#blinkTimeout);
+        if (!input) return;
+        this.#input = null;
+        input.remove();
+    }
 
-    style = new UIStyle(); // Override style; equivalent to HTML .style attribute. Takes precedence over styles in .styles
-    styles = []; // Main styles
+    #syncToInput() {
+        const input = this.#input;
+        input.readOnly = !this.editable;
+        if (input.value !== this.text) input.value = this.text;
+        input.setSelectionRange(this.selectionStart, this.selectionEnd, this.#focus < this.#anchor ? "backward" : "forward");
+    }
 
-    get computedStyle() {
-        return UIStyle.merge([UIStyle.default, ...this.styles, this.style]);
+    #positionInput() { // Moves the textarea to the caret, where IMEs show their candidate window
+        if (!this._paragraph) return; // Positioned by the first layout instead
+        const canvasRect = this._context.canvas.getBoundingClientRect();
+        const caret = this.#getCaretRect(this.#focus);
+        let x = caret[0] + this._paragraphX, y = caret[1] + this._paragraphY;
+        if (this._transform) [x, y] = CanvasKit.Matrix.mapPoints(this._transform, [x, y]);
+        this.#input.style.left = `${canvasRect.left + x}px`;
+        this.#input.style.top = `${canvasRect.top + y}px`;
+        this.#input.style.height = `${caret[3] - caret[1]}px`;
     }
 
-    paint() { }
-    layout = layout;
+    #syncFromInput = () => {
+        const input = this.#input;
+        if (!input) return;
+        const backward = input.selectionDirection === "backward";
+        const anchor = backward ? input.selectionEnd : input.selectionStart;
+        const focus = backward ? input.selectionStart : input.selectionEnd;
+        if (input.value === this.text && anchor === this.#anchor && focus === this.#focus) return;
+        this.text = input.value;
+        this.#anchor = anchor;
+        this.#focus = focus;
+        this.#blinkStart = performance.now();
+        if (this._context) this._context._scheduleLayout(this);
+    }
 
-    _styleTriggersLayout = {
-        "paddingLeft": null,
-        "paddingTop": null,
-        "paddingRight": null,
-        "paddingBottom": null,
-    };
-    _propertyTriggersLayout(properties) {
-        for (const property of properties) {
-            let value = this[property];
-            Object.defineProperty(this, property, {
-                enumerable: true,
-                set: function(newValue) {
-                    value = newValue;
-                    if (this._context) this._context._scheduleLayout(this);
-                },
-                get: function() { return value }
-            });
+    #onInput = () => {
+        const input = this.#input;
+        if (!this.multiLine && /[\r\n]/.test(input.value)) { // Pasted new lines are removed, as in an <input>
+            const caret = input.value.slice(0, input.selectionEnd).replace(/[\r\n]/g, "").length;
+            input.value = input.value.replace(/[\r\n]/g, "");
+            input.setSelectionRange(caret, caret);
         }
+        const changed = input.value !== this.text;
+        this.#syncFromInput();
+        if (changed) this.dispatchEvent(new UIEvent("input", { bubbles: false }));
     }
 
-    constructor() {
-        super();
-        this._propertyTriggersLayout(["position", "size", "anchorPoint", "visible"]);
+    #onKeyDown = e => {
+        if (e.isComposing || this.#composition) return;
+        if (e.key === "Enter" && !this.multiLine) {
+            e.preventDefault();
+            this.dispatchEvent(new UIEvent("submit", { originalEvent: e }));
+        } else if ((e.key === "ArrowUp" || e.key === "ArrowDown") && this.multiLine && !e.altKey && !e.ctrlKey && !e.metaKey) {
+            e.preventDefault(); // The textarea does not wrap like the paragraph, so its lines are not the visible lines
+            this.#moveVertically(e.key === "ArrowUp" ? -1 : 1, e.shiftKey);
+        } else setTimeout(this.#syncFromInput); // Keys that only move the selection fire no input event
     }
-}
 
-export class Frame extends UIObject {
-    name = "Frame";
+    #onCompositionStart = () => {
+        const input = this.#input;
+        this.#composition = { start: input.selectionStart, baseLength: input.value.length - (input.selectionEnd - input.selectionStart) };
+    }
 
-    paint(canvas) {
-        super.paint(canvas);
+    #onCompositionEnd = () => {
+        this.#composition = null;
+        this.#syncFromInput();
+        if (this._context) this._context._scheduleLayout(this);
+    }
 
-        const rect = CanvasKit.XYWHRect(this.absolutePosition.x, this.absolutePosition.y, this.absoluteSize.x, this.absoluteSize.y);
+    #onCopy = e => {
+        if (this.masked) e.preventDefault();
+    }
 
-        const paint = this.computedStyle.background._toCkPaint();
-        canvas.drawRect(rect, paint);
-        paint.delete();
+    #onInputBlur = () => {
+        const input = this.#input;
+        setTimeout(() => { // Pressing the canvas moves DOM focus away from the textarea, so it is taken back unless focus moved to another element
+            if (this.#input !== input || !this.focused) return;
+            if (document.activeElement === null || document.activeElement === document.body || document.activeElement === this._context.canvas) input.focus({ preventScroll: true });
+            else if (document.activeElement !== input) this.blur();
+        });
     }
 }
 
-export class ListLayoutFrame extends Frame {
-    name = "ListLayoutFrame";
-
-
+// Animation
+
+const easingFunctions = [ // Ease-in curves indexed by enums.EasingStyle; other directions are derived from these
+    t => t,
+    t => 1 - Math.cos(t * Math.PI / 2),
+    t => t ** 2,
+    t => t ** 3,
+    t => t ** 4,
+    t => t ** 5,
+    t => t === 0 ? 0 : Math.pow(2, 10 * t - 10),
+    t => 1 - Math.sqrt(1 - t * t),
+    t => 2.70158 * t ** 3 - 1.70158 * t ** 2,
+    t => t === 0 || t === 1 ? t : -Math.pow(2, 10 * t - 10) * Math.sin((t * 10 - 10.75) * (2 * Math.PI) / 3),
+    t => 1 - bounceOut(1 - t),
+];
+
+function bounceOut(t) {
+    if (t < 1 / 2.75) return 7.5625 * t * t;
+    if (t < 2 / 2.75) return 7.5625 * (t -= 1.5 / 2.75) * t + 0.75;
+    if (t < 2.5 / 2.75) return 7.5625 * (t -= 2.25 / 2.75) * t + 0.9375;
+    return 7.5625 * (t -= 2.625 / 2.75) * t + 0.984375;
 }
 
-export class TextLabel extends Frame {
-    name = "TextLabel";
-
-    text = "TextLabel";
-
-    #paragraph = null;
-    #paragraphX = 0;
-    #paragraphY = 0;
+/**
+ * TweenInfo class for describing the timing of a Tween.
+ * 
+ * This class is immutable; you cannot assign to its properties once it is created.
+ * @public
+ */
+export class TweenInfo {
+    /**
+     * @param {number} [duration=250] The length of one playthrough in milliseconds
+     * @param {enums.EasingStyle} [easingStyle=enums.EasingStyle("Quad")]
+     * @param {enums.EasingDirection} [easingDirection=enums.EasingDirection("Out")]
+     * @param {number} [repeatCount=0] The number of times the tween repeats after its first playthrough. If negative, it repeats until cancelled.
+     * @param {boolean} [reverses=false] Whether each playthrough plays back in reverse after reaching its goals
+     * @param {number} [delay=0] The time in milliseconds before the tween starts
+     * @example <caption>Creates a TweenInfo that bounces into place over half a second</caption>
+     * new TweenInfo(500, enums.EasingStyle("Bounce"));
+     */
+    constructor(duration = 250, easingStyle = enums.EasingStyle("Quad"), easingDirection = enums.EasingDirection("Out"), repeatCount = 0, reverses = false, delay = 0) {
+        if (isNaN(duration)) throw new Error("duration is NaN");
+        if (easingFunctions[easingStyle] === undefined) throw new Error("easingStyle is not EasingStyle");
+        if (isNaN(repeatCount)) throw new Error("repeatCount is NaN");
+        if (isNaN(delay)) throw new Error("delay is NaN");
+        this.duration = duration;
+        this.easingStyle = easingStyle;
+        this.easingDirection = easingDirection;
+        this.repeatCount = repeatCount;
+        this.reverses = reverses;
+        this.delay = delay;
+        Object.freeze(this);
+    }
 
-    constructor() {
-        super();
-        this._propertyTriggersLayout(["text"]);
-        this._styleTriggersLayout["textSize"] = null;
-        this._styleTriggersLayout["textAlign"] = null;
-        this._styleTriggersLayout["verticalTextAlign"] = null;
+    _getAlpha(time) {
+        const t = Math.min(Math.max(time / this.duration, 0), 1);
+        const easeIn = easingFunctions[this.easingStyle];
+        switch (this.easingDirection) {
+            case enums.EasingDirection("Out"):
+                return 1 - easeIn(1 - t);
+            case enums.EasingDirection("InOut"):
+                return t < 0.5 ? easeIn(t * 2) / 2 : 1 - easeIn(2 - t * 2) / 2;
+        }
+        return easeIn(t);
     }
+}
 
-    layout = function(updatePosition) {
-        layout.call(this, updatePosition);
+/**
+ * SpringInfo class for describing a Tween that moves like a damped spring instead of following a fixed curve.
+ * 
+ * The duration of the tween is however long the spring takes to settle.
+ * 
+ * This class is immutable; you cannot assign to its properties once it is created.
+ * @public
+ */
+export class SpringInfo {
+    /**
+     * @param {number} [stiffness=170] The strength of the spring
+     * @param {number} [damping=26] The friction slowing the spring; lower values oscillate more
+     * @param {number} [mass=1] The mass of the object moved by the spring; higher values move more slowly
+     * @param {number} [delay=0] The time in milliseconds before the tween starts
+     * @example <caption>Creates a bouncy SpringInfo</caption>
+     * new SpringInfo(300, 10);
+     */
+    constructor(stiffness = 170, damping = 26, mass = 1, delay = 0) {
+        if (isNaN(stiffness) || stiffness <= 0) throw new Error("stiffness is not a positive number");
+        if (isNaN(damping) || damping < 0) throw new Error("damping is not a non-negative number");
+        if (isNaN(mass) || mass <= 0) throw new Error("mass is not a positive number");
+        if (isNaN(delay)) throw new Error("delay is NaN");
+        this.stiffness = stiffness;
+        this.damping = damping;
+        this.mass = mass;
+        this.delay = delay;
+        this.repeatCount = 0;
+        this.reverses = false;
+
+        const naturalFrequency = Math.sqrt(stiffness / mass);
+        const dampingRatio = damping / (2 * Math.sqrt(stiffness * mass));
+        const slowestDecay = dampingRatio <= 1 ? dampingRatio * naturalFrequency : naturalFrequency * (dampingRatio - Math.sqrt(dampingRatio * dampingRatio - 1));
+        /**
+         * The time in milliseconds the spring takes to settle within 0.1% of its goal.
+         * @type {number}
+         * @public
+         */
+        this.duration = slowestDecay > 0 ? Math.log(1000) / slowestDecay * 1000 * (dampingRatio === 1 ? 1.5 : 1) : Infinity;
+        this._naturalFrequency = naturalFrequency;
+        this._dampingRatio = dampingRatio;
+        Object.freeze(this);
+    }
 
-        if (!this.visible || !this.visibleOnScreen) return;
+    _getAlpha(time) { // Position of a spring released at rest from 0 with its goal at 1
+        if (time >= this.duration) return 1;
+        const t = Math.max(time, 0) / 1000;
+        const w = this._naturalFrequency;
+        const z = this._dampingRatio;
+        if (z < 1) {
+            const dampedFrequency = w * Math.sqrt(1 - z * z);
+            return 1 - Math.exp(-z * w * t) * (Math.cos(dampedFrequency * t) + z * w / dampedFrequency * Math.sin(dampedFrequency * t));
+        }
+        if (z === 1) return 1 - Math.exp(-w * t) * (1 + w * t);
+        const r1 = -w * (z - Math.sqrt(z * z - 1));
+        const r2 = -w * (z + Math.sqrt(z * z - 1));
+        return 1 - (r2 * Math.exp(r1 * t) - r1 * Math.exp(r2 * t)) / (r2 - r1);
+    }
+}
 
-        if (this.#paragraph) this.#paragraph.delete();
+function interpolate(from, to, alpha) {
+    if (typeof from === "number" && typeof to === "number") return from + (to - from) * alpha;
+    if (from instanceof Vector2 && to instanceof Vector2) return from.lerp(to, alpha);
+    if ((from instanceof SDim && to instanceof SDim) || (from instanceof SDim2 && to instanceof SDim2) || (from instanceof Color && to instanceof Color)) return from.lerp(to, alpha);
+    if (from instanceof Paint && to instanceof Paint && from.type === enums.PaintType("Color") && to.type === enums.PaintType("Color")) {
+        const paint = to.copy();
+        paint.color = from.color.lerp(to.color, alpha);
+        return paint;
+    }
+    return alpha < 1 ? from : to; // Values that cannot be interpolated change once the goal is reached
+}
 
-        const computedStyle = this.computedStyle;
+const playingTweens = new WeakMap(); // Target -> Set of Tweens playing on it
 
-        const paragraphStyle = new CanvasKit.ParagraphStyle({
-            textStyle: {
-                color: computedStyle.color._ckColor,
-                fontFamilies: ["Inter"],
-                fontSize: computedStyle.textSize,
-            },
-            textAlign: CanvasKit.TextAlign[enums.TextAlign.from(computedStyle.textAlign)]
-        });
+/**
+ * Tween class for animating properties of an object, such as a UIObject or UIStyle, over time.
+ * 
+ * Numbers, Vector2s, SDims, SDim2s, Colors and Color Paints are interpolated; other values are set once the goal is reached. Properties of a UIStyle that are null animate from their default value.
+ * 
+ * Playing a Tween cancels any other Tween animating the same properties of the same object.
+ * @public
+ */
+export class Tween {
+    /** @type {boolean} Whether the tween is currently playing. */
+    playing = false;
 
-        const builder = CanvasKit.ParagraphBuilder.Make(paragraphStyle, fontMgr);
+    #from = null;
+    #step = null;
+    #resolve = null;
 
-        builder.addText(this.text);
+    /**
+     * @param {Object} target The object whose properties are animated
+     * @param {TweenInfo|SpringInfo} info
+     * @param {Object} goals The properties to animate and the values to animate them to
+     * @example
+     * const tween = new Tween(frame.style, new TweenInfo(200), { background: FillPaint.fromColor(Color.fromRGB(255, 0, 0)), opacity: 0.5 });
+     * tween.play();
+     */
+    constructor(target, info, goals) {
+        if (typeof target !== "object" || target === null) throw new Error("target is not an object");
+        if (!(info instanceof TweenInfo) && !(info instanceof SpringInfo)) throw new Error("info is not TweenInfo or SpringInfo");
+        if (typeof goals !== "object" || goals === null) throw new Error("goals is not an object");
+        this.target = target;
+        this.info = info;
+        this.goals = goals;
+        /**
+         * A promise that resolves with true when the tween completes, or false if it is cancelled.
+         * @type {Promise<boolean>}
+         * @public
+         */
+        this.finished = new Promise(resolve => this.#resolve = resolve);
+    }
 
-        const paragraph = builder.build();
+    /**
+     * Starts playing the tween from the current values of the target's properties. Has no effect if the tween is already playing or has finished.
+     */
+    play() {
+        if (this.playing || !this.#resolve) return;
 
-        paragraph.layout(this.absoluteSize.x - this.absolutePaddingLeft - this.absolutePaddingRight);
+        if (!playingTweens.has(this.target)) playingTweens.set(this.target, new Set());
+        const tweens = playingTweens.get(this.target);
+        for (const tween of [...tweens]) {
+            if (Object.keys(tween.goals).some(property => property in this.goals)) tween.cancel();
+        }
+        tweens.add(this);
 
-        builder.delete();
+        this.#from = {};
+        for (const property in this.goals) {
+            const value = this.target[property];
+            this.#from[property] = value === null && this.target instanceof UIStyle ? UIStyle.default[property] : value;
+        }
 
-        this.#paragraph = paragraph;
+        const info = this.info;
+        const cycleDuration = info.duration * (info.reverses ? 2 : 1);
+        const cycles = info.repeatCount < 0 ? Infinity : info.repeatCount + 1;
+        let startTimestamp = null;
+        this.#step = timestamp => {
+            if (startTimestamp === null) startTimestamp = timestamp;
+            const elapsed = timestamp - startTimestamp - info.delay;
+            if (elapsed < 0) return;
+            if (cycleDuration <= 0 || elapsed >= cycleDuration * cycles) {
+                this.#apply(info.reverses ? 0 : 1);
+                this.#finish(true);
+                return;
+            }
+            const cycleTime = elapsed % cycleDuration;
+            this.#apply(info._getAlpha(cycleTime < info.duration ? cycleTime : cycleDuration - cycleTime));
+        };
+        frameCallbacks.add(this.#step);
+        requestUpdate();
+        this.playing = true;
+    }
 
-        this.#paragraphX = this.absolutePosition.x + this.absolutePaddingLeft;
+    /**
+     * Stops the tween, leaving the target's properties at their current values.
+     */
+    cancel() {
+        this.#finish(false);
+    }
 
-        switch (computedStyle.verticalTextAlign) {
-            case enums.VerticalTextAlign("Top"):
-                this.#paragraphY = this.absolutePosition.y + this.absolutePaddingTop;
-                break;
-            case enums.VerticalTextAlign("Middle"):
-                this.#paragraphY = this.absolutePosition.y + (this.absoluteSize.y - this.absolutePaddingTop - this.absolutePaddingBottom) / 2 - paragraph.getHeight() / 2 + this.absolutePaddingTop;
-                break;
-            case enums.VerticalTextAlign("Bottom"):
-                this.#paragraphY = this.absolutePosition.y + this.absoluteSize.y - paragraph.getHeight() - this.absolutePaddingBottom;
-                break;
-        }
+    #apply(alpha) {
+        const target = this.target;
+        for (const property in this.goals) target[property] = interpolate(this.#from[property], this.goals[property], alpha);
+        if (target instanceof UIObject) target._context?.invalidate(); // Not every property schedules layout
+        else if (!(target instanceof UIStyle)) for (const context of contexts.values()) context.invalidate(); // Paints and other values may be drawn by any context, while styles notify the objects using them
     }
 
-    paint(canvas) {
-        super.paint(canvas);
-        canvas.drawParagraph(this.#paragraph, this.#paragraphX, this.#paragraphY);
+    #finish(completed) {
+        if (!this.#resolve) return;
+        frameCallbacks.delete(this.#step);
+        playingTweens.get(this.target)?.delete(this);
+        this.playing = false;
+        this.#resolve(completed);
+        this.#resolve = null;
     }
 }
 
@@ -861,12 +3727,15 @@ let contextId = 0;
 
 export class Context {
     constructor(canvas) {
+        if (!CanvasKit) throw new Error("init has not been called");
         this.canvas = canvas;
-        this.surface = CanvasKit.MakeCanvasSurface(this.canvas.id);//canvas.getContext("2d", { desynchronized: true });
+        this.surface = canvas ? CanvasKit.MakeCanvasSurface(this.canvas.id) : null;//canvas.getContext("2d", { desynchronized: true });
 
         this.id = contextId++;
 
         this.relayout = [];
+        this._restyled = new Map(); // UIObject -> its computedStyle before its styles changed, compared before the next layout
+        this._dirty = true; // Whether something changed since the last frame was rendered
 
         this.root = new UIObject();
         this.root.layout = function() {
@@ -883,75 +3752,465 @@ export class Context {
             size: new SDim2(),
             position: new SDim2(),
             anchorPoint: new SDim2(),
+            automaticSize: enums.AutomaticSize("None"),
+            minSize: null,
+            maxSize: null,
+            aspectRatio: 0,
+            rotation: 0,
+            scale: new Vector2(1, 1),
             absolutePosition: new Vector2(),
             absoluteAnchorPoint: new Vector2(),
             zIndex: 1,
             clipsDescendants: false
         }
         for (const [key, value] of Object.entries(writeProtected)) Object.defineProperty(this.root, key, { enumerable: true, writable: false, value });
+        this.root._observeStyles();
 
-        let size = new Vector2(this.canvas.width, this.canvas.height);
+        let size = canvas ? new Vector2(this.canvas.width, this.canvas.height) : new Vector2();
         Object.defineProperty(this, "size", {
             enumerable: true,
             set: function(newValue) {
                 size = newValue;
-                this.canvas.width = Math.floor(this.size.x * window.devicePixelRatio);
-                this.canvas.height = Math.floor(this.size.y * window.devicePixelRatio);
-                this.surface.delete();
-                this.surface = CanvasKit.MakeCanvasSurface(this.canvas.id);
-                this.surface.getCanvas().scale(window.devicePixelRatio, window.devicePixelRatio);
+                this.surface?.delete();
+                if (this.canvas) {
+                    this.canvas.width = Math.floor(this.size.x * window.devicePixelRatio);
+                    this.canvas.height = Math.floor(this.size.y * window.devicePixelRatio);
+                    this.surface = CanvasKit.MakeCanvasSurface(this.canvas.id);
+                    this.surface.getCanvas().scale(window.devicePixelRatio, window.devicePixelRatio);
+                } else this.surface = CanvasKit.MakeSurface(Math.max(Math.floor(this.size.x), 1), Math.max(Math.floor(this.size.y), 1));
                 this.relayout.push(this.root);
+                this.invalidate();
             },
             get: function() {
                 return size;
             },
         });
+
+        /** @type {?UIObject} The topmost UIObject under the pointer. */
+        this.hoveredObject = null;
+        /** @type {?UIObject} The UIObject that receives keyboard input, such as a TextBox being edited. */
+        this.focusedObject = null;
+
+        /** @type {boolean} Whether the performance overlay and layout rects are drawn on top of the UI. */
+        this.debug = true;
+
+        if (!canvas) return;
+        this.canvas.style.touchAction = "none";
+        this.canvas.addEventListener("pointermove", this.#onPointerMove);
+        this.canvas.addEventListener("pointerdown", this.#onPointerDown);
+        this.canvas.addEventListener("pointerup", this.#onPointerUp);
+        this.canvas.addEventListener("pointercancel", this.#onPointerCancel);
+        this.canvas.addEventListener("pointerleave", this.#onPointerLeave);
+        this.canvas.addEventListener("wheel", this.#onWheel, { passive: false });
+    }
+
+    #styleSheet = null;
+
+    /** @type {?StyleSheet} Rules styling the UIObjects of this Context by type, class and state. */
+    get styleSheet() { return this.#styleSheet; }
+    set styleSheet(newValue) {
+        if (newValue !== null && !(newValue instanceof StyleSheet)) throw new Error("styleSheet is not StyleSheet or null");
+        this.#styleSheet?._removeObserver(this);
+        this.#styleSheet = newValue;
+        newValue?._addObserver(this);
+        this._invalidateStyles();
+    }
+
+    _invalidateStyles() { // Discards the computedStyle of every object, such as after the StyleSheet changed
+        const invalidate = object => {
+            object._invalidateStyle();
+            for (const child of object.children) invalidate(child);
+        };
+        invalidate(this.root);
+    }
+
+    #invalidateStateStyle(object) { // Discards the computedStyle of an object whose hover, pressed or focused state changed, if a StyleSheet could match that state
+        if (this.#styleSheet) object._invalidateStyle();
+    }
+
+    /**
+     * Marks this Context as changed, so that a frame is rendered on the next animation frame.
+     * 
+     * Changing a property, style or layout invalidates the Context automatically. Call this after changes that cannot be observed, such as mutating a Paint that is already in use.
+     */
+    invalidate() {
+        this._dirty = true;
+        if (this.running) requestUpdate();
+    }
+
+    #continuous = false;
+
+    /** @type {boolean} Whether a frame is rendered on every animation frame even when nothing changed, such as to keep the performance overlay updating. */
+    get continuous() { return this.#continuous; }
+    set continuous(newValue) {
+        this.#continuous = newValue;
+        this.invalidate();
     }
 
     _scheduleLayout(object) {
+        this.invalidate();
+        if (this.relayout.includes(this.root)) return; // The whole tree is already being laid out
+        // Siblings may move, and automatically sized ancestors may be resized, so the outermost such ancestor is laid out instead
+        while (object.parent && (object.parent._positionsChildren || object.parent.automaticSize !== enums.AutomaticSize("None"))) object = object.parent;
         if (object._context === this && object.parent && object.visible && !this.relayout.includes(object)) this.relayout.push(object);
     }
 
+    /**
+     * Returns the topmost visible UIObject at a point relative to the top left corner of the canvas, or null if there is none.
+     * @param {Vector2} position
+     * @returns {?UIObject}
+     */
+    hitTest(position) {
+        if (!(position instanceof Vector2)) throw new Error("position is not Vector2");
+        return this.root ? iterativeHitTest(this.root, position) : null;
+    }
+
+    /**
+     * Moves focus to `object`, firing `blur` on the previously focused object and `focus` on the new one. If null, nothing has focus. Disabled objects cannot be focused.
+     * @param {?UIObject} object
+     */
+    setFocus(object) {
+        if (object !== null && !(object instanceof UIObject)) throw new Error("object is not UIObject or null");
+        if (object?.disabled) return;
+        if (object === this.focusedObject) return;
+        const previous = this.focusedObject;
+        this.focusedObject = object;
+        this.invalidate();
+        if (previous) this.#invalidateStateStyle(previous);
+        if (object) this.#invalidateStateStyle(object);
+        if (previous) previous.dispatchEvent(new UIEvent("blur", { bubbles: false }));
+        if (object) object.dispatchEvent(new UIEvent("focus", { bubbles: false }));
+    }
+
+    /**
+     * Redirects all further events from a pointer to `object` until the pointer is released, regardless of what is under it.
+     * 
+     * Capturing a pointer cancels the `click` it would otherwise fire when released.
+     * @param {number} pointerId
+     * @param {UIObject} object
+     */
+    capturePointer(pointerId, object) {
+        if (!(object instanceof UIObject)) throw new Error("object is not UIObject");
+        this.#capturedObjects.set(pointerId, object);
+        this.#pressedObjects.delete(pointerId);
+    }
+
+    /**
+     * Stops redirecting events from a pointer captured with `capturePointer`.
+     * @param {number} pointerId
+     */
+    releasePointer(pointerId) {
+        this.#capturedObjects.delete(pointerId);
+    }
+
+    // Input
+
+    #hoverPath = [];
+    #pressedObjects = new Map();
+    #pressedPaths = new Map(); // Pointer id -> the pressed object and its ancestors, which are in the pressed state until the pointer is released
+    #capturedObjects = new Map();
+
+    #getEventProperties(e) {
+        const rect = this.canvas.getBoundingClientRect();
+        return {
+            position: new Vector2(e.clientX - rect.left, e.clientY - rect.top),
+            button: e.button,
+            pointerId: e.pointerId,
+            pointerType: e.pointerType,
+            originalEvent: e
+        };
+    }
+
+    #updateHover(target, properties) {
+        const path = [];
+        for (let node = target; node; node = node.parent) path.push(node);
+        for (const node of this.#hoverPath) {
+            if (path.includes(node)) continue;
+            node._hovered = false;
+            this.#invalidateStateStyle(node);
+            node.dispatchEvent(new UIEvent("pointerLeave", { ...properties, target: node, bubbles: false }));
+        }
+        for (let i = path.length - 1; i >= 0; i--) {
+            if (this.#hoverPath.includes(path[i])) continue;
+            path[i]._hovered = true;
+            this.#invalidateStateStyle(path[i]);
+            path[i].dispatchEvent(new UIEvent("pointerEnter", { ...properties, target: path[i], bubbles: false }));
+        }
+        this.#hoverPath = path;
+        this.hoveredObject = target;
+    }
+
+    #onPointerMove = e => {
+        const properties = this.#getEventProperties(e);
+        const target = this.#capturedObjects.get(e.pointerId) ?? this.hitTest(properties.position);
+        this.#updateHover(target, properties);
+        if (target) target.dispatchEvent(new UIEvent("pointerMove", properties));
+    }
+
+    #onPointerDown = e => {
+        const properties = this.#getEventProperties(e);
+        const target = this.hitTest(properties.position);
+        this.#updateHover(target, properties);
+        this.canvas.setPointerCapture(e.pointerId);
+        this.#pressedObjects.set(e.pointerId, target);
+        this.#releasePress(e.pointerId);
+        const pressedPath = [];
+        for (let node = target; node; node = node.parent) pressedPath.push(node);
+        for (const node of pressedPath) {
+            node._pressCount++;
+            this.#invalidateStateStyle(node);
+        }
+        this.#pressedPaths.set(e.pointerId, pressedPath);
+        let focusTarget = target; // Pressing an object focuses its nearest focusable ancestor, or removes focus if there is none
+        while (focusTarget && (!focusTarget.focusable || focusTarget.disabled)) focusTarget = focusTarget.parent;
+        this.setFocus(focusTarget);
+        if (target) target.dispatchEvent(new UIEvent("pointerDown", properties));
+    }
+
+    #releasePress(pointerId) {
+        const pressedPath = this.#pressedPaths.get(pointerId);
+        if (!pressedPath) return;
+        for (const node of pressedPath) {
+            node._pressCount--;
+            this.#invalidateStateStyle(node);
+        }
+        this.#pressedPaths.delete(pointerId);
+    }
+
+    #onPointerUp = e => {
+        const properties = this.#getEventProperties(e);
+        const target = this.#capturedObjects.get(e.pointerId) ?? this.hitTest(properties.position);
+        this.#capturedObjects.delete(e.pointerId);
+        this.#releasePress(e.pointerId);
+        this.#updateHover(target, properties);
+        if (target) target.dispatchEvent(new UIEvent("pointerUp", properties));
+
+        const pressedObject = this.#pressedObjects.get(e.pointerId);
+        this.#pressedObjects.delete(e.pointerId);
+        if (target && pressedObject && e.button === 0) { // Click is fired on the deepest object containing both the pressed and released objects
+            const pressedPath = [];
+            for (let node = pressedObject; node; node = node.parent) pressedPath.push(node);
+            let clickTarget = target;
+            while (clickTarget && !pressedPath.includes(clickTarget)) clickTarget = clickTarget.parent;
+            if (clickTarget && !clickTarget.disabled) clickTarget.dispatchEvent(new UIEvent("click", properties));
+        }
+
+        if (e.pointerType === "touch") this.#updateHover(null, properties);
+    }
+
+    #onPointerCancel = e => {
+        this.#pressedObjects.delete(e.pointerId);
+        this.#releasePress(e.pointerId);
+        this.#capturedObjects.delete(e.pointerId);
+        this.#updateHover(null, this.#getEventProperties(e));
+    }
+
+    #onPointerLeave = e => {
+        if (this.#pressedObjects.has(e.pointerId) || this.#capturedObjects.has(e.pointerId)) return;
+        this.#updateHover(null, this.#getEventProperties(e));
+    }
+
+    #onWheel = e => {
+        const properties = this.#getEventProperties(e);
+        const target = this.hitTest(properties.position);
+        if (!target) return;
+        const multiplier = e.deltaMode === 1 ? 16 : e.deltaMode === 2 ? this.size.y : 1; // Lines and pages are converted to pixels
+        properties.delta = new Vector2(e.deltaX * multiplier, e.deltaY * multiplier);
+        target.dispatchEvent(new UIEvent("wheel", properties));
+    }
+
+    #theme = null;
+
+    /** @type {?Theme} The Theme that ThemeTokens in styles are resolved with. Changing it restyles and lays out the whole tree. */
+    get theme() { return this.#theme; }
+    set theme(newValue) {
+        if (newValue !== null && !(newValue instanceof Theme)) throw new Error("theme is not Theme or null");
+        this.#theme = newValue;
+        this._invalidateStyles();
+        if (!this.relayout.includes(this.root)) this.relayout.push(this.root);
+    }
+
     get running() {
         return contexts.has(this.id);
     }
 
     start() {
         contexts.set(this.id, this);
+        this.invalidate();
     }
     stop() {
         return contexts.delete(this.id);
     }
     cleanup() {
         contexts.delete(this.id);
+        this.canvas?.removeEventListener("pointermove", this.#onPointerMove);
+        this.canvas?.removeEventListener("pointerdown", this.#onPointerDown);
+        this.canvas?.removeEventListener("pointerup", this.#onPointerUp);
+        this.canvas?.removeEventListener("pointercancel", this.#onPointerCancel);
+        this.canvas?.removeEventListener("pointerleave", this.#onPointerLeave);
+        this.canvas?.removeEventListener("wheel", this.#onWheel);
+        this.setFocus(null);
+        this.hoveredObject = null;
+        for (const node of this.#hoverPath) node._hovered = false;
+        this.#hoverPath.length = 0;
+        for (const pointerId of [...this.#pressedPaths.keys()]) this.#releasePress(pointerId);
+        this.#pressedObjects.clear();
+        this.#capturedObjects.clear();
+        this.#styleSheet?._removeObserver(this);
+        for (const child of [...this.root.children]) child.destroy(); // Frees the native resources of the whole tree
+        this.root._observeStyles(false);
         this.surface.delete();
         this.surface = null;
         this.root = null;
         this.relayout.length = 0;
+        this._restyled.clear();
     }
 }
 
-function iterativeCheckForStyleChanges(UIObject) {
-    if (UIObject.visible) {
-        if (UIObject.visibleOnScreen) {//UIObject.absolutePosition.x < UIObject._context.size.x && UIObject.absolutePosition.y < UIObject._context.size.y && UIObject.absolutePosition.x + UIObject.absoluteSize.x > 0 && UIObject.absolutePosition.y + UIObject.absoluteSize.y > 0) {
-            const computedStyle = UIObject.computedStyle;
-            for (const [property, value] of Object.entries(UIObject._styleTriggersLayout)) {
-                if (computedStyle[property] !== value) { UIObject._context._scheduleLayout(UIObject); break; }
-            }
-            for (const property in UIObject._styleTriggersLayout) UIObject._styleTriggersLayout[property] = computedStyle[property];
+/**
+ * Context that renders to an offscreen CPU surface instead of a canvas element, for rendering without a browser or GPU such as in Node.js.
+ * 
+ * Headless contexts do not receive pointer input. Call `renderFrame` to lay out and draw a frame, and `toPNG` to encode it.
+ * @public
+ * @example <caption>Renders a frame to a PNG file in Node.js</caption>
+ * const context = new HeadlessContext(new Vector2(400, 300));
+ * frame.parent = context.root;
+ * context.renderFrame();
+ * fs.writeFileSync("frame.png", context.toPNG());
+ */
+export class HeadlessContext extends Context {
+    #lastTimestamp = null;
+
+    /**
+     * @param {Vector2} [size=new Vector2(800, 600)] The size of the surface in pixels
+     */
+    constructor(size = new Vector2(800, 600)) {
+        if (!(size instanceof Vector2)) throw new Error("size is not Vector2");
+        super(null);
+        this.debug = false;
+        this.size = size;
+    }
+
+    /**
+     * Lays out and draws a frame. Outside of the browser, this also advances tweens and other animations to `timestamp`, so passing explicit timestamps makes frames deterministic.
+     * @param {number} [timestamp=performance.now()] The time of the frame in milliseconds
+     */
+    renderFrame(timestamp = performance.now()) {
+        if (!isBrowser) runFrameCallbacks(timestamp); // In the browser, the animation loop already calls these
+        const frameDelta = this.#lastTimestamp === null || timestamp <= this.#lastTimestamp ? 1000 / 60 : timestamp - this.#lastTimestamp;
+        this.#lastTimestamp = timestamp;
+        renderContext(this, Math.round(1000 / frameDelta), frameDelta);
+    }
+
+    /**
+     * Returns the last rendered frame encoded as a PNG.
+     * @returns {Uint8Array}
+     */
+    toPNG() {
+        const image = this.surface.makeImageSnapshot();
+        const bytes = image.encodeToBytes(CanvasKit.ImageFormat.PNG, 100);
+        image.delete();
+        return bytes;
+    }
+}
+
+function processStyleChanges(context) { // Schedules layout for objects whose styles changed properties that affect their layout
+    for (const [object, previous] of context._restyled) {
+        if (object._context !== context) continue;
+        const computedStyle = object.computedStyle;
+        for (const property of object._styleTriggersLayout) {
+            if (computedStyle[property] !== previous[property]) { context._scheduleLayout(object); break; }
+        }
+    }
+    context._restyled.clear();
+}
+
+function drawEffects(UIObject, computedStyle, canvas) { // Draws the shadow and backdrop blur, and begins the opacity and blur layers which are ended by the caller
+    const shadow = computedStyle.shadow;
+    if (shadow.color.a > 0) {
+        const shadowRRect = getRRect(UIObject, computedStyle, -shadow.spread);
+        shadowRRect[0] += shadow.offset.x;
+        shadowRRect[1] += shadow.offset.y;
+        shadowRRect[2] += shadow.offset.x;
+        shadowRRect[3] += shadow.offset.y;
+
+        const paint = new CanvasKit.Paint();
+        paint.setColor(shadow.color._ckColor);
+        if (shadow.blur > 0) {
+            const maskFilter = CanvasKit.MaskFilter.MakeBlur(CanvasKit.BlurStyle.Normal, shadow.blur / 2, true);
+            paint.setMaskFilter(maskFilter);
+            maskFilter.delete();
+        }
+
+        canvas.save();
+        canvas.clipRRect(getRRect(UIObject, computedStyle), CanvasKit.ClipOp.Difference, true); // Like CSS, the shadow is not visible through a translucent background
+        canvas.drawRRect(shadowRRect, paint);
+        canvas.restore();
+        paint.delete();
+    }
 
-            for (const child of UIObject.children) iterativeCheckForStyleChanges(child);
-        } else if (!UIObject.clipsDescendants) for (const child of UIObject.children) iterativeCheckForStyleChanges(child);
+    if (computedStyle.backdropBlur > 0) {
+        const rrect = getRRect(UIObject, computedStyle);
+        const imageFilter = CanvasKit.ImageFilter.MakeBlur(computedStyle.backdropBlur, computedStyle.backdropBlur, CanvasKit.TileMode.Clamp, null);
+        canvas.save();
+        canvas.clipRRect(rrect, CanvasKit.ClipOp.Intersect, true);
+        canvas.saveLayer(null, rrect.subarray(0, 4), imageFilter); // Restoring the empty layer draws the blurred backdrop
+        canvas.restore();
+        canvas.restore();
+        imageFilter.delete();
+    }
+
+    if (computedStyle.opacity < 1) {
+        const paint = new CanvasKit.Paint();
+        paint.setAlphaf(computedStyle.opacity);
+        canvas.saveLayer(paint);
+        paint.delete();
+    }
+
+    if (computedStyle.blur > 0) {
+        const paint = new CanvasKit.Paint();
+        const imageFilter = CanvasKit.ImageFilter.MakeBlur(computedStyle.blur, computedStyle.blur, CanvasKit.TileMode.Decal, null);
+        paint.setImageFilter(imageFilter);
+        canvas.saveLayer(paint);
+        imageFilter.delete();
+        paint.delete();
     }
 }
 
 function iterativeDraw(UIObject, canvas) {
     if (UIObject.visible) {
+        const saveCount = canvas.getSaveCount();
+        if (UIObject._localTransform) {
+            canvas.save();
+            canvas.concat(UIObject._localTransform);
+        }
         if (UIObject.visibleOnScreen) {
+            const computedStyle = UIObject.computedStyle;
+            if (computedStyle.opacity <= 0) return canvas.restoreToCount(saveCount);
+            drawEffects(UIObject, computedStyle, canvas);
             UIObject.paint(canvas);
+            if (UIObject.clipsDescendants) {
+                canvas.save();
+                canvas.clipRRect(getRRect(UIObject, computedStyle), CanvasKit.ClipOp.Intersect, true);
+            }
             for (const child of [...UIObject.children].sort((a, b) => a.zIndex - b.zIndex)) iterativeDraw(child, canvas);
+            UIObject.paintOverlay(canvas);
         } else if (!UIObject.clipsDescendants) for (const child of [...UIObject.children].sort((a, b) => a.zIndex - b.zIndex)) iterativeDraw(child, canvas);
+        canvas.restoreToCount(saveCount);
+    }
+}
+
+function iterativeHitTest(UIObject, point) {
+    if (!UIObject.visible) return null;
+    if (UIObject.clipsDescendants && !UIObject.containsPoint(point)) return null; // Clipped descendants cannot be hit outside of their ancestor
+    if (UIObject._overlayContainsPoint(point)) return UIObject;
+    const children = [...UIObject.children].sort((a, b) => a.zIndex - b.zIndex);
+    for (let i = children.length - 1; i >= 0; i--) { // Reverse draw order so the topmost object is found first
+        if (!children[i].containsPoint) continue;
+        const result = iterativeHitTest(children[i], point);
+        if (result) return result;
     }
+    return UIObject.containsPoint(point) ? UIObject : null;
 }
 
 function iterativeDrawDebugGetObjects(UIObject) {
@@ -989,91 +4248,126 @@ class performanceWatcher {
 }
 
 const frameTimes = [];
+const frameCallbacks = new Set(); // Called with the timestamp at the start of every frame, before layout. Frames keep being requested while there are any
+let frameCallbacksTimestamp = null;
+
+let debugPaint = null; // Created by init
+
+let debugForegroundPaint = null;
 
-const debugPaint = new CanvasKit.Paint();
-debugPaint.setColor(CanvasKit.BLACK);
+let updateRequested = false;
 
-const debugForegroundPaint = new CanvasKit.Paint();
-debugForegroundPaint.setColor(CanvasKit.WHITE);
+function requestUpdate() { // Requests an animation frame in the browser, if a context is running and one has not been requested already
+    if (!isBrowser || updateRequested || contexts.size === 0) return;
+    updateRequested = true;
+    requestAnimationFrame(update);
+}
+
+function runFrameCallbacks(timestamp) { // Calls frameCallbacks once per timestamp, so rendering several contexts for the same frame advances animations once
+    if (timestamp === frameCallbacksTimestamp) return;
+    frameCallbacksTimestamp = timestamp;
+    for (const callback of [...frameCallbacks]) callback(timestamp);
+}
 
 function update(timestamp) {
+    updateRequested = false;
     while (frameTimes.length > 0 && frameTimes[0] <= timestamp - 1000) frameTimes.shift(); frameTimes.push(timestamp);
 
     const fps = frameTimes.length;
     const frameDelta = 1000 / fps;
 
+    runFrameCallbacks(timestamp); // Animations invalidate the contexts they change
+
     for (const [id, context] of contexts) {
-        if (!context.performanceWatcher) context.performanceWatcher = new performanceWatcher();
+        if (context.continuous || context._dirty) renderContext(context, fps, frameDelta);
+    }
+
+    if (frameCallbacks.size > 0 || [...contexts.values()].some(context => context.continuous)) requestUpdate(); // Otherwise the loop stops until a context is invalidated
+}
 
-        context.performanceWatcher.start("prepare");
-        const canvas = context.surface.getCanvas();
-        canvas.clear(CanvasKit.WHITE);
-        context.performanceWatcher.end();
+function renderContext(context, fps, frameDelta) {
+    if (!context.performanceWatcher) context.performanceWatcher = new performanceWatcher();
 
-        context.performanceWatcher.start("processStyleChanges");
-        iterativeCheckForStyleChanges(context.root);
-        context.performanceWatcher.end();
+    context.performanceWatcher.start("prepare");
+    const canvas = context.surface.getCanvas();
+    canvas.clear(CanvasKit.WHITE);
+    context.performanceWatcher.end();
 
-        context.performanceWatcher.start("layoutDebug");
-        for (const object of context.relayout) canvas.drawRect(CanvasKit.XYWHRect(object.absolutePosition.x, object.absolutePosition.y, object.absoluteSize.x, object.absoluteSize.y), debugPaint);
-        context.performanceWatcher.end();
+    context.performanceWatcher.start("processStyleChanges");
+    processStyleChanges(context);
+    context.performanceWatcher.end();
 
-        context.performanceWatcher.start("layout");
-        for (const object of context.relayout) object.layout(true);
-        context.performanceWatcher.end();
+    context.performanceWatcher.start("layoutDebug");
+    if (context.debug) for (const object of context.relayout) canvas.drawRect(CanvasKit.XYWHRect(object.absolutePosition.x, object.absolutePosition.y, object.absoluteSize.x, object.absoluteSize.y), debugPaint);
+    context.performanceWatcher.end();
 
-        context.performanceWatcher.start("draw");
-        iterativeDraw(context.root, canvas);
-        context.performanceWatcher.end();
+    context.performanceWatcher.start("layout");
+    for (const object of context.relayout) if (object._context === context) object.layout(true); // Objects removed since they were scheduled are skipped
+    context.performanceWatcher.end();
 
-        context.performanceWatcher.start("debugProfiler");
-        const [visibleObjects, totalObjects] = iterativeDrawDebugGetObjects(context.root);
+    context.performanceWatcher.start("draw");
+    iterativeDraw(context.root, canvas);
+    context.performanceWatcher.end();
 
-        const performanceGraphWidth = Math.max(Math.min(context.size.x - 20, 480), 280);
-        canvas.drawRect(CanvasKit.XYWHRect(10, 10, performanceGraphWidth, context.performanceWatcher.size * 20 + 72 + 20), debugPaint);
+    context.performanceWatcher.start("debugProfiler");
+    if (context.debug) drawDebugProfiler(context, canvas, fps, frameDelta);
+    context.performanceWatcher.end();
 
-        canvas.drawText(`Draw | ${fps} FPS | ${frameDelta.toFixed(2)} ms`, 20, 20 + 9, debugForegroundPaint, font);
+    context.performanceWatcher.start("flush");
+    context.surface.flush();
+    context.relayout.length = 0;
+    context._dirty = false; // Changes made while rendering are already drawn
+    context.performanceWatcher.end();
+}
 
-        canvas.drawText(`Rendering ${visibleObjects - 1} of ${totalObjects - 1} objects`, 240, 20 + 9, debugForegroundPaint, font);
+function drawDebugProfiler(context, canvas, fps, frameDelta) {
+    const [visibleObjects, totalObjects] = iterativeDrawDebugGetObjects(context.root);
 
-        canvas.drawRect(CanvasKit.XYWHRect(20, 40, performanceGraphWidth - 20, 30), debugForegroundPaint);
+    const performanceGraphWidth = Math.max(Math.min(context.size.x - 20, 480), 280);
+    canvas.drawRect(CanvasKit.XYWHRect(10, 10, performanceGraphWidth, context.performanceWatcher.size * 20 + 72 + 20), debugPaint);
 
-        let [x, y] = [20, 80];
-        context.performanceWatcher.forEach((key, value) => {
-            const paint = new CanvasKit.Paint();
-            paint.setColor(context.performanceWatcher.colors.get(key));
+    canvas.drawText(`Draw | ${fps} FPS | ${frameDelta.toFixed(2)} ms`, 20, 20 + 9, debugForegroundPaint, font);
 
-            canvas.drawRect(CanvasKit.XYWHRect(x, 40, (performanceGraphWidth - 20) * (value / frameDelta), 30), paint);
+    canvas.drawText(`Rendering ${visibleObjects - 1} of ${totalObjects - 1} objects`, 240, 20 + 9, debugForegroundPaint, font);
 
-            x += (performanceGraphWidth - 20) * (value / frameDelta);
+    canvas.drawRect(CanvasKit.XYWHRect(20, 40, performanceGraphWidth - 20, 30), debugForegroundPaint);
 
-            canvas.drawRect(CanvasKit.XYWHRect(20, y, 14, 14), paint);
-            canvas.drawText(`${key} | ${value.toFixed(2)} ms | ${Math.floor(value / frameDelta * 100)}%`, 40, y + 2 + 9, debugForegroundPaint, font);
+    let [x, y] = [20, 80];
+    context.performanceWatcher.forEach((key, value) => {
+        const paint = new CanvasKit.Paint();
+        paint.setColor(context.performanceWatcher.colors.get(key));
 
-            y += 20;
+        canvas.drawRect(CanvasKit.XYWHRect(x, 40, (performanceGraphWidth - 20) * (value / frameDelta), 30), paint);
 
-            paint.delete();
-        });
-        canvas.drawRect(CanvasKit.XYWHRect(20, y, 14, 14), debugForegroundPaint);
-        canvas.drawText(`${(frameDelta - x / (performanceGraphWidth - 20) * frameDelta).toFixed(2)} ms | ${Math.floor((frameDelta - x / (performanceGraphWidth - 20) * frameDelta) / frameDelta * 100)}%`, 40, y + 2 + 9, debugForegroundPaint, font);
-
-        if (context.relayout.length > 0) {
-            canvas.drawRect(CanvasKit.XYWHRect(10, context.performanceWatcher.size * 20 + 72 + 40, performanceGraphWidth, 30), debugPaint);
-            let total = 0;
-            for (const object of context.relayout) total += iterativeRelayoutCheckDebug(object);
-            canvas.drawText(`Relayout ${context.relayout.length} objects. Total ${total + context.relayout.length}.`, 20, context.performanceWatcher.size * 20 + 72 + 50 + 9, debugForegroundPaint, font);
-        }
+        x += (performanceGraphWidth - 20) * (value / frameDelta);
 
-        context.performanceWatcher.end();
+        canvas.drawRect(CanvasKit.XYWHRect(20, y, 14, 14), paint);
+        canvas.drawText(`${key} | ${value.toFixed(2)} ms | ${Math.floor(value / frameDelta * 100)}%`, 40, y + 2 + 9, debugForegroundPaint, font);
 
-        context.performanceWatcher.start("flush");
-        context.surface.flush();
-        context.relayout.length = 0;
-        context.performanceWatcher.end();
-    }
+        y += 20;
 
-    requestAnimationFrame(update);
+        paint.delete();
+    });
+    canvas.drawRect(CanvasKit.XYWHRect(20, y, 14, 14), debugForegroundPaint);
+    canvas.drawText(`${(frameDelta - x / (performanceGraphWidth - 20) * frameDelta).toFixed(2)} ms | ${Math.floor((frameDelta - x / (performanceGraphWidth - 20) * frameDelta) / frameDelta * 100)}%`, 40, y + 2 + 9, debugForegroundPaint, font);
+
+    if (context.relayout.length > 0) {
+        canvas.drawRect(CanvasKit.XYWHRect(10, context.performanceWatcher.size * 20 + 72 + 40, performanceGraphWidth, 30), debugPaint);
+        let total = 0;
+        for (const object of context.relayout) total += iterativeRelayoutCheckDebug(object);
+        canvas.drawText(`Relayout ${context.relayout.length} objects. Total ${total + context.relayout.length}.`, 20, context.performanceWatcher.size * 20 + 72 + 50 + 9, debugForegroundPaint, font);
+    }
 }
-requestAnimationFrame(update);
 
-window.ck = CanvasKit;
\ No newline at end of file
+const api = Object.freeze({
+    init,
+    Vector2, SDim, SDim2, Color, Shadow, Image,
+    Enum, enums,
+    FontRegistry, fontRegistry,
+    Paint, StrokePaint, FillPaint, UIStyle, StyleSheet, ThemeToken, Theme,
+    UIEvent,
+    Node, UIObject, Frame, ImageLabel, ScrollingFrame, ListLayoutFrame, GridLayoutFrame, FlexLayoutFrame, TextLabel, TextBox,
+    TweenInfo, SpringInfo, Tween,
+    Context, HeadlessContext,
+    get CanvasKit() { return CanvasKit; },
+});
\ No newline at end of file
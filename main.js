@@ -1,4 +1,6 @@
-import * as UI from "./core.js";
+import { init } from "./core.js";
+
+const UI = await init(); // canvaskit.js is loaded from unpkg by index.html, so CanvasKit finds its wasm file there too
 
 const context = new UI.Context(document.getElementById("main"));
 
@@ -67,22 +69,46 @@ label2.parent = label;
 
 context.start();
 
-/*const rectCentered = new auroraUIextra.Frame();
-rectCentered.size = new auroraUI.UICoordinate(0, 20, 0, 20);
-rectCentered.position = new auroraUI.UICoordinate(0.5, 0, 0.5, 0);
-rectCentered.anchorPoint = new auroraUI.UICoordinate(0.5, 0.5);
-rectCentered.backgroundFill = "green";
-rectCentered.appendUIModifier(new auroraUIextra.ShadowEffect());
-labelScaled.appendUIObject(rectCentered);*/
-
-addEventListener("mousemove", e => context.root.children[0].position = new UI.SDim2(e.clientX, e.clientY));
-addEventListener("touchmove", e => {
-    e.preventDefault();
-    context.root.children[0].position = new UI.SDim2(e.touches[0].clientX, e.touches[0].clientY);
-}, { passive: false });
+const glass = new UI.Frame();
+glass.size = UI.SDim2.fromOffset(160, 100);
+glass.position = UI.SDim2.fromScale(0.5, 0.25);
+glass.anchorPoint = UI.SDim2.fromScale(0.5, 0.5);
+glass.style.background = UI.FillPaint.fromColor(UI.Color.fromRGB(255, 255, 255, 0.3));
+glass.style.backdropBlur = 8;
+glass.style.shadow = new UI.Shadow(new UI.Vector2(0, 4), 16, 0, UI.Color.fromRGB(0, 0, 0, 0.3));
+glass.style.cornerRadiusTopLeft = glass.style.cornerRadiusTopRight = glass.style.cornerRadiusBottomRight = glass.style.cornerRadiusBottomLeft = UI.SDim.fromOffset(12);
+glass.zIndex = 2;
+glass.parent = context.root;
+glass.on("pointerEnter", () => glass.tween({ size: UI.SDim2.fromOffset(180, 115) }, new UI.SpringInfo(300, 12)));
+glass.on("pointerLeave", () => glass.tween({ size: UI.SDim2.fromOffset(160, 100) }, new UI.SpringInfo(300, 12)));
+
+const textBox = new UI.TextBox();
+textBox.placeholder = "Type something...";
+textBox.size = UI.SDim2.fromOffset(240, 32);
+textBox.position = new UI.SDim2(0.5, 0, 0.25, 80);
+textBox.anchorPoint = UI.SDim2.fromScale(0.5, 0);
+textBox.style.background = UI.FillPaint.fromColor(UI.Color.fromRGB(255, 255, 255));
+textBox.style.textAlign = UI.enums.TextAlign("Left");
+textBox.style.paddingLeft = textBox.style.paddingRight = UI.SDim.fromOffset(8);
+textBox.zIndex = 2;
+textBox.parent = context.root;
+textBox.on("submit", () => label.text = textBox.text);
+
+const textBoxStyle = new UI.UIStyle();
+textBoxStyle.border = UI.StrokePaint.fromColor(UI.Color.fromRGB(0, 0, 0, 0.2));
+const focusedStyle = new UI.UIStyle();
+focusedStyle.border = UI.StrokePaint.fromColor(UI.Color.fromRGB(0, 120, 215));
+focusedStyle.border.strokeWidth = 2;
+context.styleSheet = new UI.StyleSheet();
+context.styleSheet.add("TextBox", textBoxStyle);
+context.styleSheet.add("TextBox:focused", focusedStyle);
+
+context.root.on("pointerMove", e => context.root.children[0].position = new UI.SDim2(e.position.x, e.position.y));
+
+label.on("click", () => label.text = label.text === "Clicked!" ? "This label is awesome" : "Clicked!");
 
 const style = new UI.UIStyle();
-style.background = UI.FillPaint.fromColor(UI.Color.fromRGB(255, 0, 0));
+style.background = UI.FillPaint.fromLinearGradient(UI.SDim2.fromScale(0, 0), UI.SDim2.fromScale(1, 1), [UI.Color.fromRGB(255, 0, 0), UI.Color.fromRGB(0, 0, 255)]);
 
 const frame = new UI.Frame();
 frame.styles.push(style);